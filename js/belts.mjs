@@ -0,0 +1,101 @@
+/* This module draws the main asteroid belt and the Kuiper belt. Each belt is a band of particles generated from a fixed seed, so it looks the same on every visit, and drawn as one SVG path per particle size: every particle is a zero-length line with round caps, which the browser draws as a dot. The dots use a non-scaling stroke, so they stay the same few screen pixels across at every zoom level and the whole belt costs only a handful of DOM nodes however many particles it has.
+
+Particles are placed by their distance from the Sun in AU. The caller turns that into world pixels for the current scale mode (see getDistanceForAu in scaleModes.mjs) and redraws the belts when the mode changes. */
+
+
+
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+export const PARTICLE_LAYERS = Object.freeze([ // from the many faint specks to the few bright ones. Widths are in screen pixels.
+    Object.freeze({ width: 1, opacity: 0.35, share: 0.6 }),
+    Object.freeze({ width: 1.6, opacity: 0.55, share: 0.3 }),
+    Object.freeze({ width: 2.4, opacity: 0.8, share: 0.1 }),
+]);
+
+export const BELTS = Object.freeze([
+    Object.freeze({ id: "asteroid-belt", name: "Main asteroid belt", innerAu: 2.1, outerAu: 3.3, particles: 1400, color: "#b8a98f", seed: 1801 }),
+    Object.freeze({ id: "kuiper-belt", name: "Kuiper belt", innerAu: 30, outerAu: 50, particles: 2600, color: "#9fb2cf", seed: 1992 }),
+]);
+
+
+
+export function generateBeltParticles(belt)
+/* Scatters a belt's particles around the Sun. Most of them fall near the middle of the band and thin out towards its edges.
+parameters: belt - an entry of BELTS
+returns: an array of { au, angle, layer } with the distance from the Sun in AU, the angle in radians and the index into PARTICLE_LAYERS */ {
+    const random = createRandom(belt.seed);
+    return Array.from({ length: belt.particles }, () => {
+        const spread = (random() + random()) / 2; // two draws averaged peak in the middle of the band
+        const pick = random();
+        let layer = 0;
+        for (let total = PARTICLE_LAYERS[0].share; layer < PARTICLE_LAYERS.length - 1 && pick > total; total += PARTICLE_LAYERS[layer].share) {
+            layer++;
+        }
+        return {
+            au: belt.innerAu + (belt.outerAu - belt.innerAu) * spread,
+            angle: random() * Math.PI * 2,
+            layer,
+        };
+    });
+}
+
+
+
+export function createBeltElement(belt)
+/* Creates the elements for a belt: a .belt anchored on the Sun like an orbit, holding an SVG with one path per particle layer. Draw into it with drawBelt.
+returns: { element, svg, paths } */ {
+    const element = document.createElement("div");
+    element.className = `belt belt--${belt.id}`;
+    element.setAttribute("aria-hidden", "true");
+
+    const svg = document.createElementNS(SVG_NAMESPACE, "svg");
+    svg.classList.add("belt__particles");
+    const paths = PARTICLE_LAYERS.map((layer) => {
+        const path = document.createElementNS(SVG_NAMESPACE, "path");
+        path.setAttribute("stroke", belt.color);
+        path.setAttribute("stroke-width", String(layer.width));
+        path.setAttribute("stroke-opacity", String(layer.opacity));
+        svg.appendChild(path);
+        return path;
+    });
+
+    element.appendChild(svg);
+    return { element, svg, paths };
+}
+
+
+
+export function drawBelt({ svg, paths }, particles, toPixels)
+/* Draws a belt's particles into the elements from createBeltElement.
+parameters: particles - from generateBeltParticles
+            toPixels(au) - returns how many world pixels from the Sun a distance in AU is drawn at */ {
+    const segments = paths.map(() => []);
+    let reach = 1;
+    particles.forEach(({ au, angle, layer }) => {
+        const distance = toPixels(au);
+        reach = Math.max(reach, distance);
+        segments[layer].push(`M${(distance * Math.cos(angle)).toFixed(1)} ${(-distance * Math.sin(angle)).toFixed(1)}h0`); // y is flipped like the orbits, so counterclockwise stays counterclockwise
+    });
+    reach = Math.ceil(reach) + 4; // room for the round caps
+
+    svg.setAttribute("viewBox", `${-reach} ${-reach} ${reach * 2} ${reach * 2}`);
+    svg.style.left = `${-reach}px`;
+    svg.style.top = `${-reach}px`;
+    svg.style.width = `${reach * 2}px`;
+    svg.style.height = `${reach * 2}px`;
+    paths.forEach((path, layer) => path.setAttribute("d", segments[layer].join("")));
+}
+
+
+
+function createRandom(seed)
+/* A small seeded random number generator (mulberry32), so a belt is scattered the same way every time. Returns a function giving numbers from 0 to 1. */ {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
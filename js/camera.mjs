@@ -0,0 +1,573 @@
+/* This module defines the Camera class, which owns the position and zoom of the solar system view. Anything that wants to move the view (the mouse and touch controls in cameraController.mjs, the solar system itself, guided tours) goes through this API instead of touching the transform directly. The camera announces its movements with "change", "flystart", "flyend", "followstart" and "followend" events so other parts of the page can react.
+
+The math that maps between screen and world coordinates is exported as plain functions that only work on numbers. That keeps it usable (and testable) without a DOM.
+
+Camera movement never writes to the DOM straight away. Every change only updates the camera's state and schedules a frame in the shared frame loop (frameLoop.mjs); the transform is written, and "change" dispatched, at most once per frame. The same frame step also runs the animations: eased zooming, inertial coasting after a drag, gliding to a saved view, the fly-in, and following a planet around its orbit. */
+
+
+
+import { scheduleFrame } from "./frameLoop.mjs";
+
+
+
+/**************************************************************************************************
+Camera defaults and constraints:
+DEFAULT_CAMERA_STATE is where a camera without a world element starts. With a world element the camera starts centered on the world instead, and once bounds are set fit() shows all of them. reset() goes back to the view saved with saveInitialView. The solar system world is 3000px wide and its top-left corner sits at the center of the container, so an offset of -1500 puts the Sun in the middle of the screen.
+***************************************************************************************************/
+export const DEFAULT_CAMERA_STATE = Object.freeze({
+    x: -1500,
+    y: -1500,
+    scale: 1,
+});
+
+export const MIN_SCALE = 0.1;
+export const MAX_SCALE = 3;
+export const FLY_IN_SCALE = 10;
+export const FLY_IN_VERTICAL_OFFSET = 120; // pixels to nudge planet toward vertical center
+export const FOLLOW_SCALE = 2.5; // the zoom a followed planet is shown at, unless a scale is given
+
+const FLY_IN_DURATION_MS = 3000;
+const FLY_IN_NAVIGATE_DELAY_MS = 1150; // we leave for the planet page before the fly-in finishes, it feels snappier
+const FOLLOW_APPROACH_MS = 1200; // how long the camera takes to catch up with a planet it starts following
+const GLIDE_DURATION_MS = 800;
+const FIT_PADDING = 24; // pixels left free around the bounds when fitting them to the screen
+const ZOOM_EASING = 0.2; // fraction of the remaining zoom covered per frame at 60fps
+const PAN_FRICTION = 4; // how quickly a flung camera slows down. Its speed drops by a factor of e every 1/PAN_FRICTION seconds.
+const MIN_COAST_SPEED = 15; // pixels per second. Below this the coasting camera simply stops.
+const MAX_COAST_SPEED = 6000; // pixels per second, so a wild flick does not throw the system off into space
+
+
+
+/**************************************************************************************************
+Pure camera math:
+A "point" is a screen position measured from the center of the solar system container. "origin" is the world's transform origin (half its width and height). With the world's top-left corner at the container center and the world scaling around its own center, a world position lands on screen at  point = camera + origin + scale * (world - origin).
+***************************************************************************************************/
+export function clampScale(scale)
+/* Keeps a scale value within the allowed MIN_SCALE and MAX_SCALE zoom range. */ {
+    return Math.min(Math.max(MIN_SCALE, scale), MAX_SCALE);
+}
+
+
+
+export function screenToWorld(state, point, origin)
+/* Converts a screen point (relative to the container center) into world coordinates for the given camera state. */ {
+    return {
+        x: origin.x + (point.x - state.x - origin.x) / state.scale,
+        y: origin.y + (point.y - state.y - origin.y) / state.scale,
+    };
+}
+
+
+
+export function worldToScreen(state, world, origin)
+/* Converts world coordinates into a screen point (relative to the container center) for the given camera state. This is the inverse of screenToWorld. */ {
+    return {
+        x: state.x + origin.x + state.scale * (world.x - origin.x),
+        y: state.y + origin.y + state.scale * (world.y - origin.y),
+    };
+}
+
+
+
+export function zoomAround(state, nextScale, point, origin)
+/* Returns a new camera state at nextScale where the world position under the given screen point has not moved. Used to zoom toward the cursor or a pinch midpoint. */ {
+    const anchorX = point.x - origin.x;
+    const anchorY = point.y - origin.y;
+    const ratio = nextScale / state.scale;
+    return {
+        x: anchorX - (anchorX - state.x) * ratio,
+        y: anchorY - (anchorY - state.y) * ratio,
+        scale: nextScale,
+    };
+}
+
+
+
+export function computeFocusState(world, origin, scale, verticalOffset = 0)
+/* Returns the camera state that centers the given world position on screen at the given scale. verticalOffset moves the camera further up by that many pixels, which brings a planet a little above the exact center. */ {
+    return {
+        x: -(scale * (world.x - origin.x) + origin.x),
+        y: -(scale * (world.y - origin.y) + origin.y) - verticalOffset,
+        scale,
+    };
+}
+
+
+
+export function computeFitState(bounds, viewSize, origin, padding = 0)
+/* Returns the camera state that shows all of the given world bounds ({ left, top, right, bottom }) in a view of the given size ({ width, height }), with at least padding pixels free around them. */ {
+    const boundsWidth = Math.max(1, bounds.right - bounds.left);
+    const boundsHeight = Math.max(1, bounds.bottom - bounds.top);
+    const scale = clampScale(Math.min(
+        (viewSize.width - padding * 2) / boundsWidth,
+        (viewSize.height - padding * 2) / boundsHeight
+    ));
+    const center = { x: (bounds.left + bounds.right) / 2, y: (bounds.top + bounds.bottom) / 2 };
+    return computeFocusState(center, origin, scale);
+}
+
+
+
+export function clampToBounds(state, bounds, origin)
+/* Returns the camera state moved just enough that the world point in the middle of the screen lies inside the bounds, so the system can never be panned out of sight. The scale is left alone. */ {
+    const center = screenToWorld(state, { x: 0, y: 0 }, origin);
+    const clamped = {
+        x: Math.min(Math.max(center.x, bounds.left), bounds.right),
+        y: Math.min(Math.max(center.y, bounds.top), bounds.bottom),
+    };
+    if (clamped.x === center.x && clamped.y === center.y) return state;
+    return computeFocusState(clamped, origin, state.scale);
+}
+
+
+
+export function interpolateState(from, to, t)
+/* Returns the camera state part of the way (t from 0 to 1) between two states. */ {
+    return {
+        x: from.x + (to.x - from.x) * t,
+        y: from.y + (to.y - from.y) * t,
+        scale: from.scale + (to.scale - from.scale) * t,
+    };
+}
+
+
+
+export function easeOutQuint(t)
+/* Easing curve that starts fast and settles gently. Used for the fly-in. */ {
+    return 1 - Math.pow(1 - t, 5);
+}
+
+
+
+/**************************************************************************************************
+Camera class:
+One Camera drives one solar system world element. Both elements are optional so the class can also be used headless, in which case the state is tracked but nothing is drawn.
+***************************************************************************************************/
+export class Camera extends EventTarget {
+    #state = { ...DEFAULT_CAMERA_STATE };
+    #isDirty = false; // true when the state changed since the last frame wrote it to the DOM
+    #zoomTarget = null; // { scale, point } while an animated zoom is easing toward its target, otherwise null
+    #velocity = null; // { x, y } in pixels per second while the camera coasts after a drag, otherwise null
+    #flight = null; // { from, to, start, planetEl, planetName } while the fly-in runs, otherwise null
+    #follow = null; // { planetEl, planetName, scale, from, start } while the camera tracks a planet, otherwise null. from is cleared once the camera has caught up.
+    #glide = null; // { from, to, start, duration, isFit } while the camera glides to a saved view, otherwise null
+    #bounds = null; // { left, top, right, bottom } in world coordinates. The center of the screen is kept inside them.
+    #isFitted = false; // true while the view is exactly what fit() produced
+    #initialView = null; // { state, bounds } of the view the page opened with (see saveInitialView). bounds is only set when that view was a fit.
+    #navigateTimer = null;
+    #frame = (time, delta) => this.#step(time, delta);
+
+    constructor({ container = null, world = null } = {}) {
+        super();
+        this.container = container;
+        this.world = world;
+        if (world) {
+            const origin = this.#getOrigin();
+            this.#state = { x: -origin.x, y: -origin.y, scale: 1 }; // start centered on the world, whatever its size
+        }
+        this.#apply();
+    }
+
+    get bounds()
+    /* The world area the camera is kept over, or null when it can go anywhere. */ {
+        return this.#bounds ? { ...this.#bounds } : null;
+    }
+
+    get isFitted()
+    /* True while the view is still exactly what fit() set up, so it can be fitted again when the screen size changes. */ {
+        return this.#isFitted;
+    }
+
+    get isFlying()
+    /* True while the fly-in animation is running. User input is ignored during that time. */ {
+        return this.#flight !== null;
+    }
+
+    get followTarget()
+    /* The data-name of the planet the camera is following, or null. */ {
+        return this.#follow ? this.#follow.planetName : null;
+    }
+
+    getState()
+    /* Returns a copy of the current camera state ({ x, y, scale }). */ {
+        return { ...this.#state };
+    }
+
+    setState(state)
+    /* Moves the camera to the given state, stopping any coasting or zoom animation and following. Missing fields keep their current value and the scale is clamped to the allowed range. */ {
+        this.stopMotion();
+        this.stopFollowing();
+        this.#commit({
+            x: Number.isFinite(state?.x) ? state.x : this.#state.x,
+            y: Number.isFinite(state?.y) ? state.y : this.#state.y,
+            scale: Number.isFinite(state?.scale) ? state.scale : this.#state.scale,
+        });
+    }
+
+    get targetScale()
+    /* The scale the camera is heading to. While an animated zoom is running this is its target, otherwise it is the current scale. */ {
+        return this.#zoomTarget ? this.#zoomTarget.scale : this.#state.scale;
+    }
+
+    panBy(dx, dy)
+    /* Moves the camera by the given number of screen pixels. Panning away from a followed planet stops following it. */ {
+        if (!dx && !dy) return;
+        this.stopFollowing();
+        this.#commit({ ...this.#state, x: this.#state.x + dx, y: this.#state.y + dy });
+    }
+
+    fling(velocityX, velocityY)
+    /* Lets the camera keep coasting at the given velocity (pixels per second) after a drag, slowing down with friction until it stops. */ {
+        const speed = Math.hypot(velocityX, velocityY);
+        if (!(speed >= MIN_COAST_SPEED)) return; // written this way round so NaN is rejected too
+        const limit = Math.min(1, MAX_COAST_SPEED / speed);
+        this.#velocity = { x: velocityX * limit, y: velocityY * limit };
+        this.#schedule();
+    }
+
+    stopMotion()
+    /* Stops coasting, gliding and any animated zoom, leaving the camera wherever it currently is. The fly-in and following are not affected. */ {
+        this.#velocity = null;
+        this.#zoomTarget = null;
+        this.#glide = null;
+    }
+
+    zoomTo(scale, options = {})
+    /* Zooms to the given scale, keeping the point at options.clientX/options.clientY fixed on screen (the container center if not given). With options.animate the camera eases to the new scale over a few frames, and calling zoomTo again while that runs retargets the animation. */ {
+        const point = this.#clientToPoint(options.clientX, options.clientY);
+        const targetScale = clampScale(scale);
+
+        if (!options.animate) {
+            this.#zoomTarget = null;
+            this.#commit(zoomAround(this.#state, targetScale, point, this.#getOrigin()));
+            return;
+        }
+
+        this.#zoomTarget = { scale: targetScale, point };
+        this.#schedule();
+    }
+
+    flyTo(planetName, { navigate = true } = {})
+    /* Plays the fly-in animation toward the planet with the given name (its data-name attribute). With navigate set, the browser moves on to the planet's (or moon's) detail page partway through the animation. Dispatches "flystart" when the flight begins and "flyend" once it has landed. Following is paused while the flight runs. Returns false if the planet could not be found. */ {
+        const planetEl = this.#findPlanetElement(planetName);
+        if (!planetEl || this.isFlying) return false;
+
+        this.stopMotion();
+        const planetWorld = this.#locatePlanet(planetEl);
+
+        this.#flight = {
+            from: this.getState(),
+            to: computeFocusState(planetWorld, this.#getOrigin(), FLY_IN_SCALE, FLY_IN_VERTICAL_OFFSET),
+            start: null, // filled in by the first frame
+            planetEl,
+            planetName,
+        };
+        planetEl.classList.add("is-target");
+        this.world?.classList.add("is-flying");
+        this.container?.classList.add("is-flying");
+        this.dispatchEvent(new CustomEvent("flystart", { detail: { planetName } }));
+        this.#schedule();
+
+        if (navigate) {
+            this.#navigateTimer = setTimeout(() => {
+                this.#navigateTimer = null;
+                const parentName = planetEl.dataset.planet; // moons name the planet they orbit, and a moon's page is its planet's page with the moon added
+                window.location.href = parentName ? `planet-pages/planet.html?planet=${parentName}&moon=${planetName}` : `planet-pages/planet.html?planet=${planetName}`;
+            }, FLY_IN_NAVIGATE_DELAY_MS);
+        }
+        return true;
+    }
+
+    cancelFlight()
+    /* Stops a running fly-in where it is (and the navigation that may have been planned with it). "flyend" is still dispatched, with detail.cancelled set. */ {
+        clearTimeout(this.#navigateTimer);
+        this.#navigateTimer = null;
+        if (this.#flight) {
+            this.#endFlight({ cancelled: true });
+        }
+    }
+
+    follow(planetName, { scale = FOLLOW_SCALE } = {})
+    /* Centers the camera on the planet with the given name and keeps it centered as the planet moves along its orbit. The camera eases over to the planet first. Zooming keeps following, while panning, setState or stopFollowing end it. Dispatches "followstart", and "followend" when following stops. Returns false if the planet could not be found. */ {
+        const planetEl = this.#findPlanetElement(planetName);
+        if (!planetEl || this.isFlying) return false;
+
+        this.stopMotion();
+        this.stopFollowing();
+        this.#follow = {
+            planetEl,
+            planetName: planetEl.dataset.name,
+            scale: clampScale(scale),
+            from: this.getState(),
+            start: null, // filled in by the first frame
+        };
+        planetEl.classList.add("is-followed");
+        this.dispatchEvent(new CustomEvent("followstart", { detail: { planetName: this.#follow.planetName } }));
+        this.#schedule();
+        return true;
+    }
+
+    stopFollowing()
+    /* Stops following a planet, leaving the camera where it is. */ {
+        const follow = this.#follow;
+        if (!follow) return;
+        this.#follow = null;
+        follow.planetEl.classList.remove("is-followed");
+        this.dispatchEvent(new CustomEvent("followend", { detail: { planetName: follow.planetName } }));
+    }
+
+    glideTo(state, { duration = GLIDE_DURATION_MS } = {})
+    /* Animates the camera to the given state, for example back to a view that was saved earlier. Any input that moves the camera interrupts the glide. */ {
+        this.stopMotion();
+        this.stopFollowing();
+        this.#glide = {
+            from: this.getState(),
+            to: { ...this.#state, ...state, scale: clampScale(state?.scale ?? this.#state.scale) },
+            start: null, // filled in by the first frame
+            duration,
+        };
+        this.#schedule();
+    }
+
+    lookAt(planetName, { scale } = {})
+    /* Centers the view on the planet with the given name straight away, optionally at a new scale. Returns false if the planet could not be found. */ {
+        const planetEl = this.#findPlanetElement(planetName);
+        if (!planetEl) return false;
+        this.centerOn(this.#locatePlanet(planetEl), { scale });
+        return true;
+    }
+
+    centerOn(world, { scale } = {})
+    /* Centers the view on the given world position straight away, optionally at a new scale. */ {
+        const targetScale = clampScale(Number.isFinite(scale) ? scale : this.#state.scale);
+        this.setState(computeFocusState(world, this.#getOrigin(), targetScale));
+    }
+
+    getViewport()
+    /* Returns the part of the world that is visible right now as { left, top, right, bottom } in world coordinates. Without a container the viewport is a single point. */ {
+        const rect = this.container?.getBoundingClientRect();
+        const halfWidth = (rect?.width ?? 0) / 2;
+        const halfHeight = (rect?.height ?? 0) / 2;
+        const origin = this.#getOrigin();
+        const topLeft = screenToWorld(this.#state, { x: -halfWidth, y: -halfHeight }, origin);
+        const bottomRight = screenToWorld(this.#state, { x: halfWidth, y: halfHeight }, origin);
+        return { left: topLeft.x, top: topLeft.y, right: bottomRight.x, bottom: bottomRight.y };
+    }
+
+    setBounds(bounds)
+    /* Keeps the camera over the given world area ({ left, top, right, bottom }) from now on: the middle of the screen can not be moved outside it. Pass null to let the camera go anywhere again. */ {
+        this.#bounds = bounds ? { left: bounds.left, top: bounds.top, right: bounds.right, bottom: bounds.bottom } : null;
+        if (this.#bounds && !this.isFlying) {
+            this.#commit(this.#state); // pull the camera back in if it is outside already
+        }
+    }
+
+    fit({ animate = false } = {})
+    /* Zooms and centers the camera so the whole bounds area fits on screen. Does nothing without bounds or while the container has no size (for example while it is hidden). */ {
+        const rect = this.container?.getBoundingClientRect();
+        if (!this.#bounds || !rect?.width || !rect?.height) return;
+
+        const state = computeFitState(this.#bounds, rect, this.#getOrigin(), FIT_PADDING);
+        if (animate) {
+            this.glideTo(state);
+            this.#glide.isFit = true;
+            return;
+        }
+        this.setState(state);
+        this.#isFitted = true;
+    }
+
+    saveInitialView()
+    /* Remembers the current view as the one reset() goes back to. A fitted view is remembered by the bounds it fitted rather than by its position, so it still fits after the screen changes size, even when the bounds have changed since. */ {
+        this.#initialView = { state: this.getState(), bounds: this.#isFitted ? this.#bounds : null };
+    }
+
+    reset()
+    /* Glides back to the view saved with saveInitialView. Without one it shows the whole bounds area when there are bounds, otherwise the default state. */ {
+        if (this.#initialView) {
+            const rect = this.container?.getBoundingClientRect();
+            const fitsBounds = this.#initialView.bounds && rect?.width && rect?.height;
+            this.glideTo(fitsBounds ? computeFitState(this.#initialView.bounds, rect, this.#getOrigin(), FIT_PADDING) : this.#initialView.state);
+            return;
+        }
+        if (this.#bounds) {
+            this.fit({ animate: true });
+            return;
+        }
+        this.setState(DEFAULT_CAMERA_STATE);
+    }
+
+    #commit(state, { allowAnyScale = false } = {})
+    /* Stores a new camera state and schedules a frame to write it out. Outside the fly-in the state is kept within the scale limits and the bounds. */ {
+        let next = {
+            x: state.x,
+            y: state.y,
+            scale: allowAnyScale ? state.scale : clampScale(state.scale), // the fly-in deliberately zooms past MAX_SCALE
+        };
+        if (this.#bounds && !allowAnyScale) {
+            const clamped = clampToBounds(next, this.#bounds, this.#getOrigin());
+            if (clamped !== next && this.#velocity) {
+                this.#velocity = { x: clamped.x === next.x ? this.#velocity.x : 0, y: clamped.y === next.y ? this.#velocity.y : 0 }; // coasting stops against the edge
+            }
+            next = clamped;
+        }
+        this.#state = next;
+        this.#isFitted = false;
+        this.#isDirty = true;
+        this.#schedule();
+    }
+
+    #schedule() {
+        scheduleFrame(this.#frame);
+    }
+
+    #step(time, delta)
+    /* The camera's work for one animation frame: advance whichever animation is running, then write the result to the DOM. Returns true while there is still animating to do on the next frame. */ {
+        if (this.#flight) {
+            this.#stepFlight(time);
+        } else if (this.#glide) {
+            this.#stepGlide(time);
+        } else {
+            this.#stepCoast(delta);
+            this.#stepZoom(delta);
+            this.#stepFollow(time);
+        }
+        this.#flush();
+        return Boolean(this.#flight || this.#glide || this.#follow || this.#velocity || this.#zoomTarget);
+    }
+
+    #stepFlight(time)
+    /* One frame of the fly-in. When it has landed the flight is cleaned up and "flyend" is dispatched. */ {
+        const flight = this.#flight;
+        flight.start ??= time;
+        const progress = Math.min(1, (time - flight.start) / FLY_IN_DURATION_MS);
+        this.#commit(interpolateState(flight.from, flight.to, easeOutQuint(progress)), { allowAnyScale: true });
+        if (progress >= 1) {
+            this.#endFlight({ cancelled: false });
+        }
+    }
+
+    #endFlight({ cancelled })
+    /* Cleans up after the fly-in, whether it landed or was cancelled, and dispatches "flyend". */ {
+        const flight = this.#flight;
+        this.#flight = null;
+        flight.planetEl.classList.remove("is-target");
+        this.world?.classList.remove("is-flying");
+        this.container?.classList.remove("is-flying");
+        this.dispatchEvent(new CustomEvent("flyend", { detail: { planetName: flight.planetName, cancelled } }));
+    }
+
+    #stepGlide(time)
+    /* One frame of gliding to a saved view. */ {
+        const glide = this.#glide;
+        glide.start ??= time;
+        const progress = glide.duration > 0 ? Math.min(1, (time - glide.start) / glide.duration) : 1;
+        this.#commit(interpolateState(glide.from, glide.to, easeOutQuint(progress)));
+        if (progress >= 1) {
+            this.#glide = null;
+            this.#isFitted = Boolean(glide.isFit);
+        }
+    }
+
+    #stepFollow(time)
+    /* One frame of following a planet. The planet is measured where it is right now, since its orbit keeps spinning. While the camera is still catching up it eases from where it started, after that it simply stays centered (at whatever zoom the user picks). */ {
+        const follow = this.#follow;
+        if (!follow) return;
+        if (!follow.planetEl.isConnected) {
+            this.stopFollowing();
+            return;
+        }
+
+        const planetWorld = this.#locatePlanet(follow.planetEl);
+        const origin = this.#getOrigin();
+        if (follow.from && !this.#zoomTarget) { // zooming during the approach hands control to the user straight away
+            follow.start ??= time;
+            const progress = Math.min(1, (time - follow.start) / FOLLOW_APPROACH_MS);
+            const target = computeFocusState(planetWorld, origin, follow.scale);
+            this.#commit(interpolateState(follow.from, target, easeOutQuint(progress)));
+            if (progress >= 1) {
+                follow.from = null;
+            }
+            return;
+        }
+
+        follow.from = null;
+        this.#commit(computeFocusState(planetWorld, origin, this.#state.scale));
+    }
+
+    #stepCoast(delta)
+    /* One frame of inertial coasting: move by the current velocity, then let friction slow it down. */ {
+        if (!this.#velocity || !delta) return;
+        this.panBy(this.#velocity.x * delta, this.#velocity.y * delta);
+        if (!this.#velocity) return;
+
+        const decay = Math.exp(-PAN_FRICTION * delta);
+        this.#velocity = { x: this.#velocity.x * decay, y: this.#velocity.y * decay }; // read again after panBy, which zeroes the direction that hit the bounds
+        if (Math.hypot(this.#velocity.x, this.#velocity.y) < MIN_COAST_SPEED) {
+            this.#velocity = null;
+        }
+    }
+
+    #stepZoom(delta)
+    /* One frame of the animated zoom. The scale moves a fraction of the remaining distance each frame, measured as a ratio so zooming in and out feel the same. Once close enough we snap to the target and stop. */ {
+        const target = this.#zoomTarget;
+        if (!target) return;
+
+        const remaining = target.scale / this.#state.scale;
+        const isDone = Math.abs(remaining - 1) < 0.001;
+        const easing = 1 - Math.pow(1 - ZOOM_EASING, Math.max(delta, 1 / 60) * 60); // the same speed per second whatever the frame rate
+        const nextScale = isDone ? target.scale : this.#state.scale * Math.pow(remaining, easing);
+        this.#commit(zoomAround(this.#state, nextScale, target.point, this.#getOrigin()));
+        if (isDone) {
+            this.#zoomTarget = null;
+        }
+    }
+
+    #flush()
+    /* Writes the state to the DOM and dispatches "change", if anything changed since the last write. */ {
+        if (!this.#isDirty) return;
+        this.#isDirty = false;
+        this.#apply();
+        this.dispatchEvent(new CustomEvent("change", { detail: this.getState() }));
+    }
+
+    #apply()
+    /* Writes the camera state to the world element's CSS transform. */ {
+        if (!this.world) return;
+        this.world.style.transform = `translate(${this.#state.x}px, ${this.#state.y}px) scale(${this.#state.scale})`;
+    }
+
+    #locatePlanet(planetEl)
+    /* Returns the world position of a planet element, wherever it is in its orbit right now. */ {
+        this.#flush(); // the screen position below must be measured against the state that is actually on screen
+        const rect = planetEl.getBoundingClientRect(); // getBoundingClientRect is a built-in method that returns the size of an element and its position relative to the viewport.
+        const planetPoint = this.#clientToPoint(rect.left + rect.width / 2, rect.top + rect.height / 2);
+        return screenToWorld(this.#state, planetPoint, this.#getOrigin());
+    }
+
+    #clientToPoint(clientX, clientY)
+    /* Converts client (viewport) coordinates into a point relative to the container center. Missing coordinates mean the center itself. */ {
+        if (!this.container || !Number.isFinite(clientX) || !Number.isFinite(clientY)) {
+            return { x: 0, y: 0 };
+        }
+        const rect = this.container.getBoundingClientRect();
+        return {
+            x: clientX - (rect.left + rect.width / 2),
+            y: clientY - (rect.top + rect.height / 2),
+        };
+    }
+
+    #getOrigin()
+    /* Returns the world's transform origin, its center. Falls back to the default world size when there is no world element. */ {
+        if (!this.world) {
+            return { x: -DEFAULT_CAMERA_STATE.x, y: -DEFAULT_CAMERA_STATE.y };
+        }
+        return { x: this.world.offsetWidth / 2, y: this.world.offsetHeight / 2 };
+    }
+
+    #findPlanetElement(planetName)
+    /* Finds the planet element with the given data-name inside the world. */ {
+        if (!this.world || !planetName) return null;
+        return this.world.querySelector(`.planet[data-name="${CSS.escape(planetName.toLowerCase())}"]`);
+    }
+}
@@ -0,0 +1,155 @@
+/* This module connects user input to a Camera (see camera.mjs). Mouse, touch and pen input all come in as Pointer Events and are turned into gestures by the GestureRecognizer in gestures.mjs: drag to pan (with the view coasting on after a flick), pinch to zoom, double-tap or double-click to zoom in, two-finger tap to zoom out and long-press on a planet to preview it. Clicking a planet selects it (see the onPlanetSelect option), or flies straight to its page when nobody handles the selection. The view can also be driven entirely from the keyboard (see initKeyboardControls). All the actual camera math lives in the Camera class; the handlers here only translate input into calls on its API. */
+
+
+
+import { GestureRecognizer } from "./gestures.mjs";
+
+
+
+const WHEEL_ZOOM_SENSITIVITY = 0.0015; // how strongly one unit of wheel deltaY changes the zoom. Applied exponentially so every notch zooms by the same percentage no matter how far in we are.
+const TAP_ZOOM_FACTOR = 2; // double-tap zooms in by this factor, two-finger tap zooms out by it
+const KEY_PAN_STEP = 60; // pixels the camera moves per arrow/WASD key press (or key repeat)
+const KEY_ZOOM_FACTOR = 1.25; // each +/- key press zooms by this factor
+
+const PAN_KEYS = { // key -> direction the view moves. Arrow keys and WASD behave the same.
+    ArrowUp: [0, 1], w: [0, 1],
+    ArrowDown: [0, -1], s: [0, -1],
+    ArrowLeft: [1, 0], a: [1, 0],
+    ArrowRight: [-1, 0], d: [-1, 0],
+};
+
+
+
+export function initCameraControls(camera, options = {})
+/* Sets up all the input listeners for the given camera. The camera must have been created with both its container and world elements.
+parameters: camera - the Camera to drive
+            options - an object containing optional callbacks:
+                onPlanetSelect(planetName) - called when a planet is clicked. Without it the camera flies to the planet's page.
+                hitTest({ clientX, clientY, target }) - returns the planet element drawn under the pointer, or null. Used when the planets are drawn somewhere other than their own elements (see canvasRenderer.mjs). */ {
+    const container = camera.container;
+    const world = camera.world;
+    if (!container || !world) return;
+
+    container.addEventListener("click", (event) =>
+    /* This event selects a planet when it is clicked. Clicks at the end of a drag or long-press never get here, the gesture recognizer swallows them. */ {
+        const planetEl = event.target.closest(".planet") ?? options.hitTest?.(event); // check the click events target to see if it is a planet or a child of a planet element, or else whether a planet is drawn there.
+        if (!planetEl || camera.isFlying) return;
+        selectPlanet(camera, planetEl.dataset.name, options);
+    });
+
+    container.addEventListener("dragstart", (e) =>
+    /* If somehow a drag event is triggered (like dragging an image), we prevent the default behavior to avoid unintended interactions while trying to pan the camera. */ {
+        e.preventDefault();
+    });
+
+    container.addEventListener("wheel", (e) =>
+    /* Zooms toward the cursor. The new scale stacks onto the camera's pending target instead of its current scale, so fast scrolling still feels responsive while the zoom eases in. */ {
+        if (camera.isFlying) return;
+        e.preventDefault();
+        const nextScale = camera.targetScale * Math.exp(-e.deltaY * WHEEL_ZOOM_SENSITIVITY);
+        camera.zoomTo(nextScale, { clientX: e.clientX, clientY: e.clientY, animate: true });
+    },
+        { passive: false }
+    );
+
+    new GestureRecognizer(container, {
+        isEnabled: () => !camera.isFlying, // all input is ignored while the fly-in animation plays
+        onStart: () => camera.stopMotion(), // touching the screen catches a coasting camera
+        onPan: (dx, dy) => camera.panBy(dx, dy),
+        onPanEnd: ({ velocityX, velocityY }) => camera.fling(velocityX, velocityY),
+        onPinch: ({ ratio, clientX, clientY, dx, dy }) => {
+            camera.panBy(dx, dy); // Pan with the midpoint first so the zoom anchors at where the fingers are now.
+            camera.zoomTo(camera.getState().scale * ratio, { clientX, clientY });
+        },
+        onDoubleTap: ({ clientX, clientY }) => {
+            camera.zoomTo(camera.targetScale * TAP_ZOOM_FACTOR, { clientX, clientY, animate: true });
+        },
+        onTwoFingerTap: ({ clientX, clientY }) => {
+            camera.zoomTo(camera.targetScale / TAP_ZOOM_FACTOR, { clientX, clientY, animate: true });
+        },
+        onLongPress: ({ clientX, clientY, target }) => {
+            const planetEl = target.closest?.(".planet") ?? options.hitTest?.({ clientX, clientY, target }) ?? null;
+            if (!planetEl) return false;
+            planetEl.dispatchEvent(new CustomEvent("planetpreview", { bubbles: true })); // the tooltip manager (tooltipManager.mjs) pins the planet's tooltip as a preview instead of us flying off to its page
+            return true;
+        },
+    });
+}
+
+
+
+export function initKeyboardControls(camera, options = {})
+/* Lets the camera be driven from the keyboard while focus is inside the solar system container: arrow keys or WASD pan, + and - zoom, 0 goes back to the view the page opened with (see Camera.saveInitialView), Enter or Space on a focused planet selects it just like a click, and Escape backs out. Tab and Shift+Tab already move between planets because they are focusable and sit in the DOM in orbital order; here we only make sure the focused planet is on screen.
+parameters: camera - the Camera to drive
+            options - an object containing optional callbacks:
+                onHelp - called when "?" is pressed, to show the list of shortcuts
+                onPlanetSelect(planetName) - called for Enter or Space on a planet, see initCameraControls
+                onEscape - called when Escape is pressed, even during the fly-in */ {
+    const container = camera.container;
+    if (!container) return;
+
+    container.addEventListener("keydown", (e) => {
+        if (e.ctrlKey || e.metaKey || e.altKey) return; // leave browser shortcuts alone
+        if (e.key === "Escape" && options.onEscape) {
+            e.preventDefault();
+            options.onEscape();
+            return;
+        }
+        if (e.target.closest?.("button, input, select, textarea, .viewer-controls")) return; // the toolbar buttons handle their own keys
+        const planetEl = e.target.closest?.(".planet");
+
+        if (e.key === "?") {
+            e.preventDefault();
+            options.onHelp?.();
+            return;
+        }
+        if (camera.isFlying) return;
+
+        if ((e.key === "Enter" || e.key === " ") && planetEl) {
+            e.preventDefault(); // stop Space from scrolling the page
+            selectPlanet(camera, planetEl.dataset.name, options);
+            return;
+        }
+
+        const direction = PAN_KEYS[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+        if (direction) {
+            e.preventDefault(); // stop arrow keys from scrolling the page
+            camera.panBy(direction[0] * KEY_PAN_STEP, direction[1] * KEY_PAN_STEP);
+            return;
+        }
+
+        if (e.key === "+" || e.key === "=") {
+            e.preventDefault();
+            camera.zoomTo(camera.targetScale * KEY_ZOOM_FACTOR, { animate: true });
+        } else if (e.key === "-" || e.key === "_") {
+            e.preventDefault();
+            camera.zoomTo(camera.targetScale / KEY_ZOOM_FACTOR, { animate: true });
+        } else if (e.key === "0") {
+            e.preventDefault();
+            camera.reset();
+        }
+    });
+
+    container.addEventListener("focusin", (e) =>
+    /* When Tab lands on a planet that is off screen, we pan just far enough to bring it into view. */ {
+        const planetEl = e.target.closest?.(".planet");
+        if (!planetEl || camera.isFlying) return;
+        const planetRect = planetEl.getBoundingClientRect();
+        const viewRect = container.getBoundingClientRect();
+        const margin = Math.min(viewRect.width, viewRect.height) / 5;
+        const dx = Math.max(0, viewRect.left + margin - planetRect.left) - Math.max(0, planetRect.right - (viewRect.right - margin));
+        const dy = Math.max(0, viewRect.top + margin - planetRect.top) - Math.max(0, planetRect.bottom - (viewRect.bottom - margin));
+        camera.panBy(dx, dy);
+    });
+}
+
+
+
+function selectPlanet(camera, planetName, options)
+/* Hands a clicked or activated planet to the onPlanetSelect callback, or flies to its page if there is none. */ {
+    if (options.onPlanetSelect) {
+        options.onPlanetSelect(planetName);
+    } else {
+        camera.flyTo(planetName);
+    }
+}
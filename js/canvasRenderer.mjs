@@ -0,0 +1,391 @@
+/* This module defines the CanvasRenderer class, which can draw the solar system view on a single canvas instead of as DOM elements. Every planet in the DOM view is a stack of elements with its own spin animation, ring and axis, all re-laid-out under the camera's scaled transform, and with the moons, belts and dwarf planets on top that gets slow on phones. The canvas draws the same picture (belts, orbits, the Sun, planets, rings, axes and moons) in one pass per frame instead.
+
+The DOM elements are kept either way, just made invisible while the canvas is on. They stay the accessible fallback: keyboard focus still moves through them, screen readers still read them, the camera still measures them to follow a planet, and their tooltips still show. The canvas only draws, and hit-tests the pointer against what it drew, handing the planet element under it to the camera controls (see the hitTest option of initCameraControls) and telling the element when it is hovered with a "planethover" event. */
+
+
+
+import { worldToScreen } from "./camera.mjs";
+import { PARTICLE_LAYERS } from "./belts.mjs";
+import { scheduleFrame } from "./frameLoop.mjs";
+
+
+
+const HIT_SLOP = 8; // screen pixels. A body drawn smaller than this can still be hit within this radius, so tiny planets can be clicked.
+const SUN_IMAGE_SCALE = 2.3; // the Sun's image shows its corona, so it is drawn larger than the body (like #sun img in styles.css)
+const SUN_GLOW = 150; // world pixels the Sun's glow reaches past its edge (like --sun-glow in styles.css)
+const TRUE_DISTANCE_SUN_SCALE = 0.1; // the Sun shrinks with true distances, or it would swallow the inner planets (like .true-distances #sun in styles.css)
+const RING_OPENING = 0.35; // the same as in solarPlanet.mjs
+const RINGED_IMAGE_SCALE = 1.6; // an image that shows its rings (like Saturn's) gets this much room, like .planet-surface-wrapper--ringed
+const CANVAS_COLORS = {
+    orbit: "rgba(255, 255, 255, 0.2)",
+    axis: "rgba(255, 255, 255, 0.45)",
+    sunGlow: "rgba(255, 208, 0, 0.8)",
+    planet: "#ffffff",
+    highlight: "rgba(255, 255, 255, 0.85)",
+    followed: "rgba(255, 174, 0, 0.75)",
+};
+
+
+
+export class CanvasRenderer {
+    #camera;
+    #canvas;
+    #context;
+    #options;
+    #isEnabled = false;
+    #images = new Map(); // image path -> HTMLImageElement, loaded once and shared by every body using it
+    #orbits = new Map(); // body data -> orbit points, measured from what the body orbits. Rebuilt when the scale layout changes.
+    #beltPoints = []; // { x, y, layer, color } for every belt particle, in world pixels from the Sun. Rebuilt with the orbits.
+    #scene = []; // { entry, x, y, radius } for every body drawn last frame, in canvas pixels, for hit-testing
+    #hovered = null; // the body entry under the mouse, if any
+    #frame = () => this.#draw();
+
+    constructor(camera, canvas, options = {})
+    /* Sets up a canvas renderer for the given camera. It draws nothing until enable() is called.
+    parameters: camera - the Camera whose view is drawn
+                canvas - the canvas element covering the solar system container
+                options - an object containing:
+                    bodies - an array of { data, parent, element } for every planet and moon, where parent is the planet's data for a moon (null for a planet) and element is the body's DOM element
+                    star - { data, element } for the Sun, or null
+                    belts - an array of { belt, particles } for the asteroid and Kuiper belts (see belts.mjs)
+                    layout - the ScaleLayout sizing the bodies, its "change" events redraw the canvas
+                    clock - the SimClock moving the planets, its "tick" events redraw the canvas
+                    getBodyOffset(bodyData) - returns where the body is right now, as { x, y } in world pixels measured from what it orbits
+                    getOrbitOutline(bodyData) - returns the points of the body's orbit, measured the same way
+                    isPlanetVisible(planetData) - returns false for planets hidden in the view, which are not drawn (nor their moons) */ {
+        this.#camera = camera;
+        this.#canvas = canvas;
+        this.#context = canvas?.getContext?.("2d") ?? null;
+        this.#options = options;
+        if (!this.#context) return;
+
+        const redraw = () => this.redraw();
+        const container = camera.container;
+        ["change", "followstart", "followend", "flystart", "flyend"].forEach((type) => camera.addEventListener(type, redraw));
+        options.clock?.addEventListener("tick", redraw);
+        options.layout?.addEventListener("change", () => {
+            this.#measure();
+            this.redraw();
+        });
+        ["viewoptionschange", "dwarfvisibilitychange", "focusin", "focusout"].forEach((type) => container?.addEventListener(type, redraw)); // toggles, and the focus ring of the planet reached with Tab
+        if (typeof ResizeObserver === "function" && container) {
+            new ResizeObserver(redraw).observe(container);
+        }
+
+        canvas.addEventListener("pointermove", (e) => {
+            if (e.pointerType === "mouse" || e.pointerType === "pen") {
+                this.#setHovered(this.#findBody(e.clientX, e.clientY));
+            }
+        });
+        canvas.addEventListener("pointerleave", () => this.#setHovered(null));
+    }
+
+    get isSupported()
+    /* False when the browser could not give us a 2D canvas context, in which case only the DOM view is available. */ {
+        return this.#context !== null;
+    }
+
+    get isEnabled() {
+        return this.#isEnabled;
+    }
+
+    enable()
+    /* Starts drawing the view on the canvas and hides the DOM view's visuals (see .renderer-canvas in styles.css). Returns false if the canvas is not supported. */ {
+        if (!this.#context) return false;
+        this.#isEnabled = true;
+        this.#camera.container?.classList.add("renderer-canvas");
+        this.#measure();
+        this.redraw();
+        return true;
+    }
+
+    disable()
+    /* Goes back to the DOM view. */ {
+        this.#setHovered(null);
+        this.#isEnabled = false;
+        this.#camera.container?.classList.remove("renderer-canvas");
+        this.#scene = [];
+    }
+
+    redraw()
+    /* Schedules the canvas to be drawn again on the next frame. */ {
+        if (this.#isEnabled) {
+            scheduleFrame(this.#frame);
+        }
+    }
+
+    hitTest({ clientX, clientY, target } = {})
+    /* Returns the element of the body drawn under the given client position, or null. Only pointer events aimed at the canvas count, so clicks on the controls above it never select a body. */ {
+        if (!this.#isEnabled || target !== this.#canvas) return null;
+        return this.#findBody(clientX, clientY)?.element ?? null;
+    }
+
+    #findBody(clientX, clientY)
+    /* Finds the body drawn under a client position, preferring the one whose center is closest. Moons are drawn last, so they win over the planet they sit next to. */ {
+        const rect = this.#canvas.getBoundingClientRect();
+        const x = clientX - rect.left;
+        const y = clientY - rect.top;
+        let best = null;
+        let bestDistance = Infinity;
+        for (let index = this.#scene.length - 1; index >= 0; index--) {
+            const drawn = this.#scene[index];
+            const distance = Math.hypot(x - drawn.x, y - drawn.y);
+            if (distance <= Math.max(drawn.radius, HIT_SLOP) && distance < bestDistance) {
+                best = drawn.entry;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+
+    #setHovered(entry)
+    /* Moves the hover to another body (or none), telling both elements so the tooltip follows. */ {
+        if (entry === this.#hovered) return;
+        this.#hovered?.element.dispatchEvent(new CustomEvent("planethover", { bubbles: true, detail: { isHovered: false } }));
+        this.#hovered = entry;
+        entry?.element.dispatchEvent(new CustomEvent("planethover", { bubbles: true, detail: { isHovered: true } })); // picked up by the tooltip manager (tooltipManager.mjs)
+        this.#canvas.style.cursor = entry ? "pointer" : "";
+        this.redraw();
+    }
+
+    #measure()
+    /* Works out the orbit outlines and the belt particles' positions. They only change with the scale layout. */ {
+        const options = this.#options;
+        this.#orbits = new Map((options.bodies ?? []).map(({ data }) => [data, options.getOrbitOutline?.(data) ?? []]));
+        this.#beltPoints = (options.belts ?? []).flatMap(({ belt, particles }) => particles.map(({ au, angle, layer }) => {
+            const distance = options.layout?.getDistanceForAu(au) ?? 0;
+            return { x: distance * Math.cos(angle), y: -distance * Math.sin(angle), layer, color: belt.color }; // y is flipped like the orbits
+        }));
+    }
+
+    #draw()
+    /* Draws the whole view: belts, orbits, the Sun, then the planets with their moons on top. */ {
+        if (!this.#isEnabled) return;
+        const canvas = this.#canvas;
+        const context = this.#context;
+        const width = canvas.clientWidth || canvas.width;
+        const height = canvas.clientHeight || canvas.height;
+        const ratio = window.devicePixelRatio || 1;
+        if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+            canvas.width = Math.round(width * ratio);
+            canvas.height = Math.round(height * ratio);
+        }
+        context.setTransform(ratio, 0, 0, ratio, 0, 0); // draw in CSS pixels whatever the device pixel ratio
+        context.clearRect(0, 0, width, height);
+
+        const view = this.#getView(width, height);
+        const container = this.#camera.container;
+        const showOrbits = !container?.classList.contains("hide-orbits");
+        const showMoons = Boolean(container?.classList.contains("show-moons"));
+        const isPlanetVisible = (planetData) => this.#options.isPlanetVisible?.(planetData) ?? true;
+
+        const bodies = []; // { entry, world } for every body drawn this frame, planets before moons
+        const planetPositions = new Map();
+        (this.#options.bodies ?? []).forEach((entry) => {
+            if (!isPlanetVisible(entry.parent ?? entry.data)) return;
+            if (entry.parent && !showMoons) return;
+            const anchor = entry.parent ? planetPositions.get(entry.parent) : view.sun;
+            if (!anchor) return;
+            const offset = this.#options.getBodyOffset?.(entry.data) ?? { x: 0, y: 0 };
+            const world = { x: anchor.x + offset.x, y: anchor.y + offset.y };
+            if (!entry.parent) {
+                planetPositions.set(entry.data, world);
+            }
+            bodies.push({ entry, anchor, world });
+        });
+        bodies.sort((a, b) => Boolean(a.entry.parent) - Boolean(b.entry.parent)); // moons on top of every planet
+
+        this.#drawBelts(view);
+        if (showOrbits) {
+            bodies.forEach(({ entry, anchor }) => this.#drawOrbit(view, anchor, this.#orbits.get(entry.data)));
+        }
+        this.#scene = [];
+        this.#drawStar(view);
+        bodies.forEach(({ entry, world }) => this.#drawBody(view, entry, world, showMoons));
+    }
+
+    #getView(width, height)
+    /* Works out how world coordinates map onto the canvas for the current camera state. */ {
+        const world = this.#camera.world;
+        const origin = { x: (world?.offsetWidth || 0) / 2, y: (world?.offsetHeight || 0) / 2 };
+        const state = this.#camera.getState();
+        return {
+            state,
+            sun: origin, // the Sun sits in the middle of the world element
+            toCanvas: (point) => {
+                const screen = worldToScreen(state, point, origin); // measured from the container center
+                return { x: width / 2 + screen.x, y: height / 2 + screen.y };
+            },
+            isVisible: (point, radius) => point.x + radius >= 0 && point.y + radius >= 0 && point.x - radius <= width && point.y - radius <= height,
+        };
+    }
+
+    #drawBelts(view)
+    /* Draws the belt particles as dots a fixed number of screen pixels across, like the non-scaling strokes of the DOM view. */ {
+        const context = this.#context;
+        this.#beltPoints.forEach((point) => {
+            const spot = view.toCanvas({ x: view.sun.x + point.x, y: view.sun.y + point.y });
+            const layer = PARTICLE_LAYERS[point.layer];
+            if (!view.isVisible(spot, layer.width)) return;
+            context.globalAlpha = layer.opacity;
+            context.fillStyle = point.color;
+            context.fillRect(spot.x - layer.width / 2, spot.y - layer.width / 2, layer.width, layer.width);
+        });
+        context.globalAlpha = 1;
+    }
+
+    #drawOrbit(view, anchor, outline)
+    /* Draws one orbit as a dashed line around what the body orbits. */ {
+        if (!outline?.length) return;
+        const context = this.#context;
+        context.strokeStyle = CANVAS_COLORS.orbit;
+        context.lineWidth = 1;
+        context.setLineDash([3, 3]);
+        context.beginPath();
+        outline.forEach((point, index) => {
+            const spot = view.toCanvas({ x: anchor.x + point.x, y: anchor.y + point.y });
+            if (index === 0) {
+                context.moveTo(spot.x, spot.y);
+            } else {
+                context.lineTo(spot.x, spot.y);
+            }
+        });
+        context.closePath();
+        context.stroke();
+        context.setLineDash([]);
+    }
+
+    #drawStar(view)
+    /* Draws the Sun with its glow in the middle of the system. */ {
+        const star = this.#options.star;
+        if (!star) return;
+        const context = this.#context;
+        const shrink = this.#camera.container?.classList.contains("true-distances") ? TRUE_DISTANCE_SUN_SCALE : 1;
+        const center = view.toCanvas(view.sun);
+        const radius = ((Number(star.data.size) || 0) / 2) * view.state.scale * shrink;
+        const glow = SUN_GLOW * view.state.scale * shrink;
+
+        const gradient = context.createRadialGradient(center.x, center.y, radius, center.x, center.y, radius + glow);
+        gradient.addColorStop(0, CANVAS_COLORS.sunGlow);
+        gradient.addColorStop(1, "rgba(255, 208, 0, 0)");
+        context.fillStyle = gradient;
+        context.beginPath();
+        context.arc(center.x, center.y, radius + glow, 0, Math.PI * 2);
+        context.fill();
+
+        const image = this.#getImage(star.data.imageMed ?? star.data.imageSmall);
+        if (image) {
+            const size = radius * 2 * SUN_IMAGE_SCALE;
+            context.drawImage(image, center.x - size / 2, center.y - size / 2, size, size);
+        } else {
+            context.fillStyle = star.data.color ?? CANVAS_COLORS.sunGlow;
+            context.beginPath();
+            context.arc(center.x, center.y, radius, 0, Math.PI * 2);
+            context.fill();
+        }
+        this.#drawHighlight(star, center, radius);
+        this.#scene.push({ entry: star, x: center.x, y: center.y, radius });
+    }
+
+    #drawBody(view, entry, world, showAxis)
+    /* Draws a planet or moon: the back half of any drawn rings, the body, the front half of the rings, its axis when zoomed in, and its highlight. */ {
+        const { data } = entry;
+        const context = this.#context;
+        const center = view.toCanvas(world);
+        const radius = ((this.#options.layout?.getSize(data) ?? (Number(data.size) || 0)) / 2) * view.state.scale;
+        const rings = data.rings;
+        const reach = radius * Math.max(rings?.outerRadius ?? 1, RINGED_IMAGE_SCALE, 1.5);
+        this.#scene.push({ entry, x: center.x, y: center.y, radius });
+        if (!view.isVisible(center, reach)) return;
+
+        const tilt = (Number(data.axialTilt) || 0) * (Math.PI / 180);
+        if (rings && !rings.inTexture) {
+            this.#drawRing(center, radius, tilt, rings, "back");
+        }
+
+        const image = this.#getImage(data.imageSmall);
+        if (rings?.inTexture && image) { // the image already shows the rings, so it is drawn uncropped with room for them
+            const box = radius * 2 * RINGED_IMAGE_SCALE;
+            const fit = Math.min(box / (image.naturalWidth || box), box / (image.naturalHeight || box));
+            const imageWidth = (image.naturalWidth || box) * fit;
+            const imageHeight = (image.naturalHeight || box) * fit;
+            context.drawImage(image, center.x - imageWidth / 2, center.y - imageHeight / 2, imageWidth, imageHeight);
+        } else {
+            context.save();
+            context.beginPath();
+            context.arc(center.x, center.y, radius, 0, Math.PI * 2);
+            context.fillStyle = data.color ?? CANVAS_COLORS.planet;
+            context.fill();
+            if (image) {
+                context.clip();
+                context.drawImage(image, center.x - radius, center.y - radius, radius * 2, radius * 2);
+            }
+            context.restore();
+        }
+
+        if (rings && !rings.inTexture) {
+            this.#drawRing(center, radius, tilt, rings, "front");
+        }
+        if (showAxis && data.axialTilt !== undefined) {
+            const half = radius * 1.5;
+            context.strokeStyle = CANVAS_COLORS.axis;
+            context.lineWidth = Math.max(1, view.state.scale);
+            context.beginPath();
+            context.moveTo(center.x + Math.sin(tilt) * half, center.y - Math.cos(tilt) * half);
+            context.lineTo(center.x - Math.sin(tilt) * half, center.y + Math.cos(tilt) * half);
+            context.stroke();
+        }
+        this.#drawHighlight(entry, center, radius);
+    }
+
+    #drawRing(center, radius, tilt, rings, half)
+    /* Draws one half of a ring system: the far ("back") half before the planet and the near ("front") half after it, like Planet.createRing does with elements. */ {
+        const context = this.#context;
+        const outer = rings.outerRadius * radius;
+        const inner = rings.innerRadius * radius;
+        context.save();
+        context.translate(center.x, center.y);
+        context.rotate(tilt);
+        context.beginPath();
+        context.rect(-outer, half === "back" ? -outer : 0, outer * 2, outer); // the top half of the tilted ellipse is behind the planet
+        context.clip();
+        context.beginPath();
+        context.ellipse(0, 0, outer, outer * RING_OPENING, 0, 0, Math.PI * 2);
+        context.ellipse(0, 0, inner, inner * RING_OPENING, 0, 0, Math.PI * 2, true); // drawn the other way round, so the gap stays empty
+        context.globalAlpha = rings.opacity ?? 0.6;
+        context.fillStyle = rings.color ?? "#ffffff";
+        context.fill();
+        context.restore();
+    }
+
+    #drawHighlight(entry, center, radius)
+    /* Draws the glow of a followed, hovered, focused or fly-in target body. The DOM elements keep the camera's is-followed and is-target classes even while invisible, so they tell us which is which. */ {
+        const element = entry.element;
+        const isFollowed = element?.classList.contains("is-followed");
+        const isHighlighted = entry === this.#hovered || element === document.activeElement || element?.classList.contains("is-target");
+        if (!isFollowed && !isHighlighted) return;
+        const context = this.#context;
+        context.save();
+        context.strokeStyle = isFollowed ? CANVAS_COLORS.followed : CANVAS_COLORS.highlight;
+        context.shadowColor = context.strokeStyle;
+        context.shadowBlur = 12;
+        context.lineWidth = 2;
+        context.beginPath();
+        context.arc(center.x, center.y, Math.max(radius, 3) + 2, 0, Math.PI * 2);
+        context.stroke();
+        context.restore();
+    }
+
+    #getImage(path)
+    /* Returns a loaded image for the given path, or null while it is still loading (it is drawn once it arrives). */ {
+        if (!path) return null;
+        let image = this.#images.get(path);
+        if (!image) {
+            image = new Image();
+            image.addEventListener("load", () => this.redraw(), { once: true });
+            image.src = path;
+            this.#images.set(path, image);
+        }
+        return image.complete && image.naturalWidth ? image : null;
+    }
+}
@@ -1,4 +1,4 @@
-/* This module provides functions for creating and managing favorite buttons and cards for items, such as planets or images. It includes functions to set the state of favorite buttons, create toggle buttons, build favorite cards, create gallery figures, build captions for NASA images, and create APOD cards. The functions are designed to be flexible and customizable through the use of options and configuration objects. */
+/* This module provides functions for creating and managing favorite buttons and cards for items, such as planets or images. It includes functions to set the state of favorite buttons, create toggle buttons, build favorite cards, create gallery figures, build captions for NASA images, create APOD cards, and create the cards linking a planet's page to its moons. The functions are designed to be flexible and customizable through the use of options and configuration objects. */
 
 
 
@@ -127,6 +127,39 @@ return: a figure element representing the gallery image card */ {
 
 
 
+export function createMoonCard(options)
+/* This function creates a card for one of a planet's moons, linking to the moon's page. The whole card is the link.
+parameters: options - an object containing:
+                name - the moon's name
+                description - a short description of the moon
+                image - the path of the moon's image (optional)
+                href - the URL of the moon's page
+return: an anchor element representing the moon card */ {
+	const card = document.createElement("a");
+	card.className = "moon-card";
+	card.href = options.href;
+
+	if (options.image) {
+		const img = document.createElement("img");
+		img.src = options.image;
+		img.alt = ""; // the card's heading already names the moon
+		img.loading = "lazy";
+		card.appendChild(img);
+	}
+
+	const heading = document.createElement("h3");
+	heading.className = "heading-font";
+	heading.textContent = options.name;
+	card.appendChild(heading);
+
+	const description = document.createElement("p");
+	description.textContent = options.description ?? "Description unavailable.";
+	card.appendChild(description);
+	return card;
+}
+
+
+
 export function buildNasaCaption(metadata, displayName)
 /* This function builds the caption HTML for a NASA image. It takes metadata about the image and the display name of the planet, and returns an HTML string that includes the title, date created, creator, and planet name.
 parameters: metadata - an object containing metadata about the NASA image
@@ -4,7 +4,9 @@
 
 import { fetchApod, fetchPlanetImages } from "./api/nasaApi.mjs";
 import { fetchPlanetData } from "./api/ninjaPlanetsApi.mjs";
+import { getEscapeVelocity, getMeanDensity, getOrbitalVelocity, getRelativeSunlight, getSurfaceGravity, getYearInLocalDays, SOLAR_CONSTANT_W_M2 } from "./physics.mjs";
 import { loadPlanetsConfig } from "./solarSystem.mjs";
+import { getUnitSystem } from "./unitPreferences.mjs";
 import { getLocalStorage, setLocalStorage } from "./utils.mjs";
 
 
@@ -21,12 +23,69 @@ const JUPITER_MASS_KG = 1.898e27; // /* In the ninja api, they measure planets w
 
 const JUPITER_RADIUS_KM = 69911; // /* This value is the radius of Jupiter in kilometers. */
 
+const SUN_LUMINOSITY_W = 3.828e26; // The nominal solar luminosity in watts, so a star's luminosity can also be shown in Suns.
+
+export const AU_KM = 149597870.7; // One astronomical unit in kilometers, for distances measured in AU.
+
+const EARTH_MASS_KG = 5.972e24; // Earth's mass, radius, year and average temperature, for the "relative to Earth" units (see unitPreferences.mjs).
+const EARTH_RADIUS_KM = 6371;
+const EARTH_YEAR_DAYS = 365.256;
+const EARTH_TEMPERATURE_K = 288;
+
+export const EARTH_GRAVITY = getSurfaceGravity(EARTH_MASS_KG, EARTH_RADIUS_KM * 1000); // Earth's values of the physics (see physics.mjs), for the "relative to Earth" units as well
+const EARTH_ESCAPE_VELOCITY = getEscapeVelocity(EARTH_MASS_KG, EARTH_RADIUS_KM * 1000);
+const EARTH_DENSITY = getMeanDensity(EARTH_MASS_KG, EARTH_RADIUS_KM * 1000);
+const EARTH_ORBITAL_VELOCITY = getOrbitalVelocity(1, EARTH_YEAR_DAYS);
+
+const KG_TO_LBS = 2.20462;
+const M_TO_FEET = 3.28084;
+const KG_M3_TO_LBS_FT3 = 0.062428;
+const KM_TO_MILES = 0.621371;
+const LIGHT_YEAR_KM = 9.4607e12;
+const RELATIVE_AU_FROM_KM = 0.01 * AU_KM; // relative to Earth, distances from here on are in AU (Earth's distance from the Sun) rather than Earth radii
+
 
 
 /*******************************************************************************************************
  Helper functions for formatting and caching data *****************************************************/
 /*****************************************************************************************************/
 
+function formatLargeNumber(value)
+/* Shows a number with three significant digits, and from a million up (or below a thousandth) as a power of ten, like 5.97 × 10²⁴. */ {
+    const magnitude = Math.abs(value);
+    if (!magnitude || (magnitude >= 1e-3 && magnitude < 1e6)) {
+        return value.toLocaleString(undefined, { maximumSignificantDigits: 3 });
+    }
+    const [mantissa, exponent] = value.toExponential(2).split("e");
+    const superscript = String(Number(exponent)).replace(/[-\d]/g, (character) => "⁻⁰¹²³⁴⁵⁶⁷⁸⁹"["-0123456789".indexOf(character)]);
+    return `${mantissa} × 10${superscript}`;
+}
+
+
+
+function formatRelative(value, singular, plural)
+/* Shows a value measured against a reference (like Earth's mass) with three significant digits and the matching unit name. */ {
+    const text = formatLargeNumber(value);
+    return `${text} ${text === "1" ? singular : plural}`;
+}
+
+
+
+function formatSpeed(value, earthValue, unitSystem)
+/* Shows a speed given in m/s in the unit system, or relative to the matching speed of Earth's. */ {
+    if (value == null) return "n/a";
+    const number = Number(value);
+    if (Number.isNaN(number)) return `${value}`;
+    switch (unitSystem) {
+        case "imperial": return `${((number / 1000) * KM_TO_MILES).toLocaleString(undefined, { maximumFractionDigits: 2 })} mi/s`;
+        case "scientific": return `${number.toExponential(2)} m/s`;
+        case "relative": return `${formatLargeNumber(number / earthValue)}× Earth's`;
+        default: return `${(number / 1000).toLocaleString(undefined, { maximumFractionDigits: 2 })} km/s`;
+    }
+}
+
+
+
 function getCachedNinjaPlanets()
 /* This function retrieves cached planet data from local storage. If the data is not found or is invalid, it returns null. */
 //imports: getLocalStorage from utils.mjs
@@ -271,6 +330,17 @@ helpers: getCachedNinjaPlanets, setCachedNinjaPlanets
 
 
 
+export function getCachedPlanetData(name)
+/* This function returns the planet data we already have from the Ninja Planets API (fetched earlier by getPlanetData or preloadNinjaPlanetsData), or null if there is none yet. Unlike getPlanetData it never fetches, so it is quick enough to call every time the tooltip is refreshed.
+Parameter: name - The name of the planet.
+helpers: getCachedNinjaPlanets
+*/ {
+    const normalized = typeof name === "string" ? name.toLowerCase() : "";
+    return (normalized && getCachedNinjaPlanets()?.[normalized]) || null;
+}
+
+
+
 export async function getPlanetImages(name)
 /* Like getApod, this is the same as fetchPlanetImages, but its here for future flexibility so I dont have to mess with the actual API fetcher if I want to implement any additional logic related to fetching planet images in the future. 
 Parameter: name - The name of the planet to fetch images for.
@@ -296,7 +366,8 @@ helpers: getCachedNinjaPlanets, setCachedNinjaPlanets
     // If we dont have preloaded data available, we continue with the rest of the function below...
     const planets = await loadPlanetsConfig(); // Create a variable to hold the planets configuration data loaded from the planets.json file using the loadPlanetsConfig function. This data includes basic information about each planet, such as its name, which we will use to fetch the detailed planet data from the Ninja Planets API. We need to load this configuration first to get the list of planet names that we want to preload data for.
 
-    const names = planets.map((planet) => planet?.name) // Create a variable to hold an array of planet names extracted from the planets variable, where we map over each planet and return its name property. ?.name prevents errors in case one of the planets doesnt have a name property for some reason. Those entries will just be undefined in the resulting names array.
+    const names = planets.filter((planet) => planet?.category !== "star") // The Sun is in planets.json too, but the Ninja Planets API only knows planets.
+        .map((planet) => planet?.name) // Create a variable to hold an array of planet names extracted from the planets variable, where we map over each planet and return its name property. ?.name prevents errors in case one of the planets doesnt have a name property for some reason. Those entries will just be undefined in the resulting names array.
         .filter((name) => typeof name === "string" && name.trim().length > 0); // We then filter the resulting array of planet names to include only entries that are strings and have at least one non-whitespace character after trimming.
 
     const results = await Promise.all( /* create a variable to hold the results of fetching planet data for each planet name using the fetchPlanetData function.
@@ -367,6 +438,126 @@ returns: The matching planet configuration object, or null if not found.
 
 
 
+export function findMoonConfig(planetsConfig, query)
+/* This function searches the moonsDetails of every planet configuration for a moon with the given name.
+parameters:
+- planetsConfig: An array of planet configuration objects.
+- query: The name of the moon to search for.
+returns: An object { moon, planet } with the moon's configuration and the configuration of the planet it orbits, or null if not found.
+-used in: planetPanel.mjs to show a moon's information when it is selected in the solar system view.
+*/{
+    if (!Array.isArray(planetsConfig) || !query) return null;
+    const target = query.toLowerCase();
+    for (const planet of planetsConfig) {
+        const moon = Object.values(planet.moonsDetails ?? {}).find((candidate) => candidate.name?.toLowerCase() === target);
+        if (moon) {
+            return { moon, planet };
+        }
+    }
+    return null;
+}
+
+
+
+export function buildConfigPlanetData(planetConfig)
+/* This function builds planet data shaped like the Ninja Planets API's from what planets.json knows about a body, so the same formatters can show it.
+parameters:
+- planetConfig: A planet configuration object.
+returns: An object with radius (in Jupiter radii, like the API), period (days) and semi_major_axis (AU), or null if planets.json has none of them.
+-used in: planetPanel.mjs when the API has no data for a body, which is the case for most dwarf planets.
+*/{
+    if (!planetConfig) return null;
+    const data = {
+        radius: planetConfig.radiusKm != null ? planetConfig.radiusKm / JUPITER_RADIUS_KM : null,
+        period: planetConfig.orbitalPeriod ?? null,
+        semi_major_axis: planetConfig.semiMajorAxisAu ?? null,
+    };
+    return Object.values(data).some((value) => value != null) ? data : null;
+}
+
+
+
+export function buildStarData(starConfig)
+/* This function builds the data shown for a star from its planets.json entry, since the Ninja Planets API only knows planets. Mass and radius are converted to Jupiters like the API's, so the same formatters can show them.
+parameters:
+- starConfig: The star's configuration object (the Sun's entry in planets.json).
+returns: An object with mass and radius (in Jupiters), temperature (K), luminosity (W), age (years) and spectralClass, or null without a star.
+-used in: planetPanel.mjs and planetPageServices.mjs when the Sun is selected.
+*/{
+    if (!starConfig) return null;
+    return {
+        mass: starConfig.massKg != null ? starConfig.massKg / JUPITER_MASS_KG : null,
+        radius: starConfig.radiusKm != null ? starConfig.radiusKm / JUPITER_RADIUS_KM : null,
+        temperature: starConfig.surfaceTemperatureK ?? null,
+        luminosity: starConfig.luminosityW ?? null,
+        age: starConfig.ageYears ?? null,
+        spectralClass: starConfig.spectralClass ?? null,
+    };
+}
+
+
+
+export function buildPhysicsData(planetData, planetConfig)
+/* This function works out the physical properties that follow from a planet's data (see physics.mjs): its surface gravity, escape velocity, mean density, orbital velocity, the length of its year in its own days and the sunlight reaching it.
+parameters:
+- planetData: The planet's data from the Ninja Planets API, or from buildConfigPlanetData.
+- planetConfig: The planet's configuration object, for its mean radius, the length of its day and anything the API is missing.
+returns: An object with surfaceGravity (m/s²), escapeVelocity (m/s), density (kg/m³), orbitalVelocity (m/s), yearInLocalDays and sunlight (relative to Earth's). Values that can not be worked out are null.
+-used in: planetPageServices.mjs for the Physics card.
+*/{
+    const toNumber = (value) => (value == null || value === "" ? null : Number(value));
+    const massKg = toNumber(planetData?.mass) != null ? toNumber(planetData.mass) * JUPITER_MASS_KG : null;
+    const radiusKm = toNumber(planetConfig?.radiusKm) ?? (toNumber(planetData?.radius) != null ? toNumber(planetData.radius) * JUPITER_RADIUS_KM : null); // planets.json has the mean radius. The API measures radii against Jupiter's equatorial one, which puts Earth's gravity at about 10.3 m/s².
+    const radiusM = radiusKm != null ? radiusKm * 1000 : null;
+    const period = toNumber(planetData?.period) ?? toNumber(planetConfig?.orbitalPeriod);
+    const semiMajorAxis = toNumber(planetData?.semi_major_axis) ?? toNumber(planetConfig?.semiMajorAxisAu);
+    return {
+        surfaceGravity: getSurfaceGravity(massKg, radiusM),
+        escapeVelocity: getEscapeVelocity(massKg, radiusM),
+        density: getMeanDensity(massKg, radiusM),
+        orbitalVelocity: getOrbitalVelocity(semiMajorAxis, period),
+        yearInLocalDays: getYearInLocalDays(period, toNumber(planetConfig?.solarDayHours)),
+        sunlight: getRelativeSunlight(semiMajorAxis),
+    };
+}
+
+
+
+export function buildMoonData(moonConfig, planetConfig)
+/* This function builds the data shown for a moon from its planets.json entry, since the Ninja Planets API has no moons. Mass and radius are converted to Jupiters like the API's, so the same formatters can show them.
+parameters:
+- moonConfig: The moon's configuration object (an entry of its planet's moonsDetails).
+- planetConfig: The configuration object of the planet it orbits.
+returns: An object with mass and radius (in Jupiters), period (days around its planet), distance (km from its planet), axialTilt (degrees) and planet (the planet's name), or null without a moon.
+-used in: planetPageServices.mjs on a moon's page.
+*/{
+    if (!moonConfig) return null;
+    return {
+        mass: moonConfig.massKg != null ? moonConfig.massKg / JUPITER_MASS_KG : null,
+        radius: moonConfig.radiusKm != null ? moonConfig.radiusKm / JUPITER_RADIUS_KM : null,
+        period: moonConfig.orbitalPeriod ?? null,
+        distance: moonConfig.semiMajorAxisKm ?? null,
+        axialTilt: moonConfig.axialTilt ?? null,
+        planet: planetConfig?.name ?? null,
+    };
+}
+
+
+
+export function buildMoonPageUrl(planetName, moonName)
+/* This function builds the link to a moon's page, which is the planet page with the moon added to the query. Links are relative to the site root, like every page's <base>.
+parameters:
+- planetName: The name of the planet the moon orbits.
+- moonName: The name of the moon.
+returns: The URL as a string, for example "planet-pages/planet.html?planet=earth&moon=moon".
+-used in: planetPageServices.mjs for the moon cards on a planet's page.
+*/{
+    const query = new URLSearchParams({ planet: planetName.toLowerCase(), moon: moonName.toLowerCase() });
+    return `planet-pages/planet.html?${query}`;
+}
+
+
+
 export function resolveAssetPath(path)
 /* Had issues loading assets prior to this on a live server. This function resolves the asset path for a given resource. It takes a path string as input and returns the resolved path.
 parameters:
@@ -385,88 +576,191 @@ returns: The resolved path string.
 /*******************************************************************************************************/
 /* Formatting Functions *********************************************************************************/
 /*******************************************************************************************************/
-export function formatMass(rawMass) {
+export function formatMass(rawMass, unitSystem = getUnitSystem()) {
     if (rawMass == null) return "n/a";
     const massJupiters = Number(rawMass);
     if (Number.isNaN(massJupiters)) return "n/a";
 
     const massKg = massJupiters * JUPITER_MASS_KG;
-    const massLbs = massKg * 2.20462;
-
-    const kg = massKg.toExponential(2);
-    const lbs = massLbs.toExponential(2);
-    return `${kg}kg or ${lbs}lbs`;
+    switch (unitSystem) {
+        case "imperial": return `${formatLargeNumber(massKg * KG_TO_LBS)} lbs`;
+        case "scientific": return `${massKg.toExponential(2)} kg`;
+        case "relative": return formatRelative(massKg / EARTH_MASS_KG, "Earth mass", "Earth masses");
+        default: return `${formatLargeNumber(massKg)} kg`;
+    }
 }
 
-export function formatRadius(valueKm) {
-    if (valueKm == null) return "n/a";
-    const radiusJupiters = Number(valueKm);
-    if (Number.isNaN(radiusJupiters)) return `${valueKm}`;
-
-    const kmNumber = radiusJupiters * JUPITER_RADIUS_KM;
-    if (Number.isNaN(kmNumber)) return `${valueKm}`;
-    const km = kmNumber.toFixed(2);
-    const miles = (kmNumber * 0.621371).toFixed(2);
-    return `${km}km or ${miles}mi`;
+export function formatRadius(value, unitSystem = getUnitSystem()) { // value is in Jupiter radii, like the Ninja Planets API's
+    if (value == null) return "n/a";
+    const radiusJupiters = Number(value);
+    if (Number.isNaN(radiusJupiters)) return `${value}`;
+    return formatKilometers(radiusJupiters * JUPITER_RADIUS_KM, unitSystem);
 }
 
-export function formatKilometers(value) {
+export function formatKilometers(value, unitSystem = getUnitSystem()) {
     if (value == null) return "n/a";
     const number = Number(value);
     if (Number.isNaN(number)) return `${value}`;
-    return `${number.toLocaleString()} km`;
+    switch (unitSystem) {
+        case "imperial": return `${(number * KM_TO_MILES).toLocaleString(undefined, { maximumFractionDigits: 1 })} mi`;
+        case "scientific": return `${(number * 1000).toExponential(2)} m`;
+        case "relative": return Math.abs(number) < RELATIVE_AU_FROM_KM
+            ? formatRelative(number / EARTH_RADIUS_KM, "Earth radius", "Earth radii")
+            : formatRelative(number / AU_KM, "AU", "AU");
+        default: return `${number.toLocaleString(undefined, { maximumFractionDigits: 1 })} km`;
+    }
 }
 
-export function formatPeriod(value) {
+export function formatPeriod(value, unitSystem = getUnitSystem()) {
     if (value == null) return "n/a";
     const number = Number(value);
     if (Number.isNaN(number)) return `${value}`;
-    return `${number.toLocaleString(undefined, { maximumFractionDigits: 1 })} Earth days`;
+    switch (unitSystem) {
+        case "scientific": return `${(number * 86400).toExponential(2)} s`;
+        case "relative": return formatRelative(number / EARTH_YEAR_DAYS, "Earth year", "Earth years");
+        default: return `${number.toLocaleString(undefined, { maximumFractionDigits: 1 })} Earth days`;
+    }
 }
 
-export function formatSemiMajorAxis(data) {
+export function formatSemiMajorAxis(data, unitSystem = getUnitSystem()) {
     if (!data) return "n/a";
     if (data.semimajorAxis != null) {
-        return formatKilometers(data.semimajorAxis);
+        return formatKilometers(data.semimajorAxis, unitSystem);
     }
     if (data.semi_major_axis != null) {
-        const number = Number(data.semi_major_axis);
-        if (Number.isNaN(number)) return `${data.semi_major_axis}`;
-        return `${number.toLocaleString(undefined, { maximumFractionDigits: 3 })} AU`;
+        return formatAuDistance(data.semi_major_axis, unitSystem);
     }
     return "n/a";
 }
 
-export function formatDistanceFromEarth(data) {
+export function formatAuDistance(value, unitSystem = getUnitSystem()) {
+    if (value == null) return "n/a";
+    const au = Number(value);
+    if (Number.isNaN(au)) return `${value}`;
+    const auText = `${au.toLocaleString(undefined, { maximumFractionDigits: au < 10 ? 3 : 2 })} AU`;
+    const km = au * AU_KM;
+    switch (unitSystem) {
+        case "imperial": return `${auText} or ${((km * KM_TO_MILES) / 1e6).toLocaleString(undefined, { maximumFractionDigits: 1 })} million mi`;
+        case "scientific": return `${(km * 1000).toExponential(2)} m`;
+        case "relative": return auText; // an AU is Earth's distance from the Sun
+        default: return `${auText} or ${(km / 1e6).toLocaleString(undefined, { maximumFractionDigits: 1 })} million km`;
+    }
+}
+
+export function formatDegrees(value) {
+    if (value == null) return "n/a";
+    const number = Number(value);
+    if (Number.isNaN(number)) return `${value}`;
+    return `${number.toLocaleString(undefined, { maximumFractionDigits: 2 })}°`;
+}
+
+export function formatLuminosity(value, unitSystem = getUnitSystem()) { // there is no Earth to compare a star to, so "relative" measures it in Suns
+    if (value == null) return "n/a";
+    const watts = Number(value);
+    if (Number.isNaN(watts)) return `${value}`;
+    const suns = formatRelative(watts / SUN_LUMINOSITY_W, "Sun", "Suns");
+    switch (unitSystem) {
+        case "scientific": return `${watts.toExponential(2)} W`;
+        case "relative": return suns;
+        default: return `${formatLargeNumber(watts)} W or ${suns}`;
+    }
+}
+
+export function formatAge(value) {
+    if (value == null) return "n/a";
+    const years = Number(value);
+    if (Number.isNaN(years)) return `${value}`;
+    if (years >= 1e9) return `${(years / 1e9).toLocaleString(undefined, { maximumFractionDigits: 2 })} billion years`;
+    if (years >= 1e6) return `${(years / 1e6).toLocaleString(undefined, { maximumFractionDigits: 2 })} million years`;
+    return `${years.toLocaleString()} years`;
+}
+
+export function formatDistanceFromEarth(data, unitSystem = getUnitSystem()) {
     if (!data) return "n/a";
     if (data.distanceFromEarth != null) {
-        return formatKilometers(data.distanceFromEarth);
+        return formatKilometers(data.distanceFromEarth, unitSystem);
     }
     if (data.distance_light_year != null) {
         const number = Number(data.distance_light_year);
         if (!Number.isNaN(number)) {
-            return `${number.toLocaleString(undefined, {
-                minimumFractionDigits: 6,
-                maximumFractionDigits: 6,
-            })} ly`;
+            return formatKilometers(number * LIGHT_YEAR_KM, unitSystem);
         }
         return `${data.distance_light_year}`;
     }
     if (data.aphelion != null && data.perihelion != null) {
-        return `${formatKilometers(data.perihelion)} - ${formatKilometers(data.aphelion)}`;
+        return `${formatKilometers(data.perihelion, unitSystem)} - ${formatKilometers(data.aphelion, unitSystem)}`;
     }
     return "n/a";
 }
 
-export function formatTemperature(value) {
+export function formatTemperature(value, unitSystem = getUnitSystem()) { // value is in kelvin
+    if (value == null) return "n/a";
+    const kelvin = Number(value);
+    if (Number.isNaN(kelvin)) return `${value}`;
+    const kText = `${kelvin.toLocaleString(undefined, { maximumFractionDigits: 0 })} K`;
+    const fText = `${((kelvin - 273.15) * (9 / 5) + 32).toLocaleString(undefined, { maximumFractionDigits: 1 })} °F`;
+    switch (unitSystem) {
+        case "imperial": return fText;
+        case "scientific": return kText;
+        case "relative": { // a ratio of temperatures says little, so this is how much warmer or colder than Earth it is
+            const difference = Math.round(kelvin - EARTH_TEMPERATURE_K);
+            if (!difference) return "About as warm as Earth";
+            return `${Math.abs(difference).toLocaleString()} K ${difference > 0 ? "warmer" : "colder"} than Earth`;
+        }
+        default: return `${kText} or ${fText}`; // the page has always shown kelvin with Fahrenheit, so that stays the default
+    }
+}
+
+export function formatGravity(value, unitSystem = getUnitSystem()) { // value is in m/s²
     if (value == null) return "n/a";
     const number = Number(value);
     if (Number.isNaN(number)) return `${value}`;
-    const kelvin = number;
-    const fahrenheit = (kelvin - 273.15) * (9 / 5) + 32;
-    const kText = kelvin.toLocaleString(undefined, { maximumFractionDigits: 0 });
-    const fText = fahrenheit.toLocaleString(undefined, { maximumFractionDigits: 1 });
-    return `${kText} K or ${fText} °F`;
+    switch (unitSystem) {
+        case "imperial": return `${(number * M_TO_FEET).toLocaleString(undefined, { maximumFractionDigits: 1 })} ft/s²`;
+        case "scientific": return `${number.toExponential(2)} m/s²`;
+        case "relative": return formatRelative(number / EARTH_GRAVITY, "g", "g"); // g is Earth's gravity
+        default: return `${number.toLocaleString(undefined, { maximumFractionDigits: 2 })} m/s²`;
+    }
+}
+
+export function formatEscapeVelocity(value, unitSystem = getUnitSystem()) { // value is in m/s
+    return formatSpeed(value, EARTH_ESCAPE_VELOCITY, unitSystem);
+}
+
+export function formatOrbitalVelocity(value, unitSystem = getUnitSystem()) { // value is in m/s
+    return formatSpeed(value, EARTH_ORBITAL_VELOCITY, unitSystem);
+}
+
+export function formatDensity(value, unitSystem = getUnitSystem()) { // value is in kg/m³
+    if (value == null) return "n/a";
+    const number = Number(value);
+    if (Number.isNaN(number)) return `${value}`;
+    switch (unitSystem) {
+        case "imperial": return `${(number * KG_M3_TO_LBS_FT3).toLocaleString(undefined, { maximumFractionDigits: 1 })} lbs/ft³`;
+        case "scientific": return `${number.toExponential(2)} kg/m³`;
+        case "relative": return `${formatLargeNumber(number / EARTH_DENSITY)}× Earth's`;
+        default: return `${(number / 1000).toLocaleString(undefined, { maximumFractionDigits: 2 })} g/cm³`;
+    }
+}
+
+export function formatLocalDays(value) {
+    if (value == null) return "n/a";
+    const number = Number(value);
+    if (Number.isNaN(number)) return `${value}`;
+    return formatRelative(number, "local day", "local days");
+}
+
+export function formatSunlight(value, unitSystem = getUnitSystem()) { // value is relative to the sunlight at Earth
+    if (value == null) return "n/a";
+    const number = Number(value);
+    if (Number.isNaN(number)) return `${value}`;
+    const relative = `${formatLargeNumber(number)}× Earth's`;
+    const wattsPerM2 = number * SOLAR_CONSTANT_W_M2;
+    switch (unitSystem) {
+        case "scientific": return `${wattsPerM2.toExponential(2)} W/m²`;
+        case "relative": return relative;
+        default: return `${wattsPerM2.toLocaleString(undefined, { maximumFractionDigits: 0 })} W/m² or ${relative}`;
+    }
 }
 
 export function toTitleCase(value) {
@@ -0,0 +1,247 @@
+/* This module works out where the planets (and the larger dwarf planets) really are on any date. It uses the standard J2000 Keplerian orbital elements published by JPL ("Keplerian Elements for Approximate Positions of the Major Planets", E. M. Standish), which describe each orbit at 1 January 2000 12:00 TT and how it slowly drifts per century. From those it solves Kepler's equation for the date and returns the planet's heliocentric position in the J2000 ecliptic frame.
+
+The same geometry also draws the orbits: getOrbitPoint turns a point of an orbit, given by its eccentric anomaly, into ecliptic coordinates for any orbit shape (eccentricity, inclination, argument of perihelion and longitude of the ascending node), so the solar system view can trace true ellipses with the Sun at a focus.
+
+Everything here is pure math: functions take a date (in milliseconds since 1970, like Date.now()) and a set of elements, and return numbers. Nothing touches the page, so the results can be checked against published positions on their own. The elements are good to a fraction of a degree between 1800 and 2050 and drift slowly outside that range, which is far more accurate than the solar system view can show. */
+
+
+
+import { DAY_MS, J2000_MS } from "./simClock.mjs";
+
+
+
+const DEG = Math.PI / 180;
+const DAYS_PER_CENTURY = 36525; // Julian centuries, the time unit the elements' rates are given in
+const KEPLER_TOLERANCE = 1e-8; // radians. Newton's method stops once a step is smaller than this.
+const KEPLER_MAX_STEPS = 30;
+
+export const ORBITAL_ELEMENTS = Object.freeze({ // JPL table 1, valid 1800-2050, followed by the larger dwarf planets. Each element is [value at J2000, change per Julian century].
+    mercury: Object.freeze({
+        semiMajorAxis: [0.38709927, 0.00000037], // AU
+        eccentricity: [0.20563593, 0.00001906],
+        inclination: [7.00497902, -0.00594749], // degrees, to the ecliptic
+        meanLongitude: [252.25032350, 149472.67411175], // degrees
+        longitudeOfPerihelion: [77.45779628, 0.16047689], // degrees
+        longitudeOfAscendingNode: [48.33076593, -0.12534081], // degrees
+    }),
+    venus: Object.freeze({
+        semiMajorAxis: [0.72333566, 0.00000390],
+        eccentricity: [0.00677672, -0.00004107],
+        inclination: [3.39467605, -0.00078890],
+        meanLongitude: [181.97909950, 58517.81538729],
+        longitudeOfPerihelion: [131.60246718, 0.00268329],
+        longitudeOfAscendingNode: [76.67984255, -0.27769418],
+    }),
+    earth: Object.freeze({ // strictly the Earth-Moon barycenter, which is within 5000 km of the Earth
+        semiMajorAxis: [1.00000261, 0.00000562],
+        eccentricity: [0.01671123, -0.00004392],
+        inclination: [-0.00001531, -0.01294668],
+        meanLongitude: [100.46457166, 35999.37244981],
+        longitudeOfPerihelion: [102.93768193, 0.32327364],
+        longitudeOfAscendingNode: [0, 0],
+    }),
+    mars: Object.freeze({
+        semiMajorAxis: [1.52371034, 0.00001847],
+        eccentricity: [0.09339410, 0.00007882],
+        inclination: [1.84969142, -0.00813131],
+        meanLongitude: [-4.55343205, 19140.30268499],
+        longitudeOfPerihelion: [-23.94362959, 0.44441088],
+        longitudeOfAscendingNode: [49.55953891, -0.29257343],
+    }),
+    jupiter: Object.freeze({
+        semiMajorAxis: [5.20288700, -0.00011607],
+        eccentricity: [0.04838624, -0.00013253],
+        inclination: [1.30439695, -0.00183714],
+        meanLongitude: [34.39644051, 3034.74612775],
+        longitudeOfPerihelion: [14.72847983, 0.21252668],
+        longitudeOfAscendingNode: [100.47390909, 0.20469106],
+    }),
+    saturn: Object.freeze({
+        semiMajorAxis: [9.53667594, -0.00125060],
+        eccentricity: [0.05386179, -0.00050991],
+        inclination: [2.48599187, 0.00193609],
+        meanLongitude: [49.95424423, 1222.49362201],
+        longitudeOfPerihelion: [92.59887831, -0.41897216],
+        longitudeOfAscendingNode: [113.66242448, -0.28867794],
+    }),
+    uranus: Object.freeze({
+        semiMajorAxis: [19.18916464, -0.00196176],
+        eccentricity: [0.04725744, -0.00004397],
+        inclination: [0.77263783, -0.00242939],
+        meanLongitude: [313.23810451, 428.48202785],
+        longitudeOfPerihelion: [170.95427630, 0.40805281],
+        longitudeOfAscendingNode: [74.01692503, 0.04240589],
+    }),
+    neptune: Object.freeze({
+        semiMajorAxis: [30.06992276, 0.00026291],
+        eccentricity: [0.00859048, 0.00005105],
+        inclination: [1.77004347, 0.00035372],
+        meanLongitude: [-55.12002969, 218.45945325],
+        longitudeOfPerihelion: [44.96476227, -0.32241464],
+        longitudeOfAscendingNode: [131.78422574, -0.00508664],
+    }),
+    pluto: Object.freeze({
+        semiMajorAxis: [39.48211675, -0.00031596],
+        eccentricity: [0.24882730, 0.00005170],
+        inclination: [17.14001206, 0.00004818],
+        meanLongitude: [238.92903833, 145.20780515],
+        longitudeOfPerihelion: [224.06891629, -0.04062942],
+        longitudeOfAscendingNode: [110.30393684, -0.01183482],
+    }),
+
+    // The other dwarf planets are not in the JPL table. These are osculating elements near J2000 with only the mean motion as a rate, which keeps them within a degree or two over the range of the date slider.
+    ceres: Object.freeze({
+        semiMajorAxis: [2.7675, 0],
+        eccentricity: [0.0758, 0],
+        inclination: [10.5935, 0],
+        meanLongitude: [159.9, 7826.8],
+        longitudeOfPerihelion: [153.9032, 0],
+        longitudeOfAscendingNode: [80.3055, 0],
+    }),
+    haumea: Object.freeze({
+        semiMajorAxis: [43.182, 0],
+        eccentricity: [0.1949, 0],
+        inclination: [28.2137, 0],
+        meanLongitude: [192.6, 126.7],
+        longitudeOfPerihelion: [1.2084, 0],
+        longitudeOfAscendingNode: [122.1674, 0],
+    }),
+    makemake: Object.freeze({
+        semiMajorAxis: [45.4302, 0],
+        eccentricity: [0.1613, 0],
+        inclination: [28.9835, 0],
+        meanLongitude: [155.5, 117.6],
+        longitudeOfPerihelion: [14.4541, 0],
+        longitudeOfAscendingNode: [79.6201, 0],
+    }),
+    eris: Object.freeze({
+        semiMajorAxis: [67.864, 0],
+        eccentricity: [0.4361, 0],
+        inclination: [44.04, 0],
+        meanLongitude: [20.6, 64.5],
+        longitudeOfPerihelion: [187.5903, 0],
+        longitudeOfAscendingNode: [35.9513, 0],
+    }),
+});
+
+
+
+export function toJulianCenturies(time)
+/* Converts a date (milliseconds since 1970) to Julian centuries since J2000, the time variable the orbital elements are written in. */ {
+    return (time - J2000_MS) / (DAYS_PER_CENTURY * DAY_MS);
+}
+
+
+
+export function getOrbitalElements(name)
+/* Returns the J2000 orbital elements for a planet by name (any case), or null if we have none for it. */ {
+    return ORBITAL_ELEMENTS[String(name ?? "").toLowerCase()] ?? null;
+}
+
+
+
+export function getElementsAt(elements, time)
+/* Works out a set of orbital elements for the given date by applying their per-century rates.
+parameters: elements - an entry of ORBITAL_ELEMENTS
+            time - the date in milliseconds since 1970
+returns: { semiMajorAxis, eccentricity, inclination, meanLongitude, longitudeOfPerihelion, longitudeOfAscendingNode } as plain numbers, angles in degrees */ {
+    const centuries = toJulianCenturies(time);
+    const at = ([value, rate]) => value + rate * centuries;
+    return {
+        semiMajorAxis: at(elements.semiMajorAxis),
+        eccentricity: at(elements.eccentricity),
+        inclination: at(elements.inclination),
+        meanLongitude: at(elements.meanLongitude),
+        longitudeOfPerihelion: at(elements.longitudeOfPerihelion),
+        longitudeOfAscendingNode: at(elements.longitudeOfAscendingNode),
+    };
+}
+
+
+
+export function solveKepler(meanAnomaly, eccentricity)
+/* Solves Kepler's equation M = E - e sin E for the eccentric anomaly E with Newton's method. Both angles are in radians. */ {
+    const M = normalizeRadians(meanAnomaly);
+    let E = eccentricity < 0.8 ? M : Math.PI; // starting from pi keeps Newton's method stable for very elongated orbits
+    for (let step = 0; step < KEPLER_MAX_STEPS; step++) {
+        const delta = (E - eccentricity * Math.sin(E) - M) / (1 - eccentricity * Math.cos(E));
+        E -= delta;
+        if (Math.abs(delta) < KEPLER_TOLERANCE) break;
+    }
+    return E;
+}
+
+
+
+export function getMeanAnomaly(elements, time)
+/* Returns a planet's mean anomaly on the given date in degrees: how far around its orbit it would be, counted from perihelion, if it moved at an even speed. */ {
+    const current = getElementsAt(elements, time);
+    return current.meanLongitude - current.longitudeOfPerihelion;
+}
+
+
+
+export function getOrbitPoint(shape, eccentricAnomaly)
+/* Returns the point of an orbit at the given eccentric anomaly (radians) as { x, y, z } in units of the orbit's semi-major axis, measured from the body it orbits in the ecliptic frame (see getHeliocentricPosition).
+parameters: shape - an object with eccentricity, inclination, argumentOfPerihelion and longitudeOfAscendingNode, angles in degrees. Missing values count as 0, which is a circle in the ecliptic.
+            eccentricAnomaly - where on the orbit, in radians from perihelion */ {
+    const e = Number(shape.eccentricity) || 0;
+
+    // Position in the plane of the orbit, with x pointing to the perihelion
+    const orbitX = Math.cos(eccentricAnomaly) - e;
+    const orbitY = Math.sqrt(1 - e * e) * Math.sin(eccentricAnomaly);
+
+    // Turn the orbit plane into the ecliptic frame
+    const perihelionArgument = (Number(shape.argumentOfPerihelion) || 0) * DEG;
+    const node = (Number(shape.longitudeOfAscendingNode) || 0) * DEG;
+    const inclination = (Number(shape.inclination) || 0) * DEG;
+    const cosW = Math.cos(perihelionArgument);
+    const sinW = Math.sin(perihelionArgument);
+    const cosNode = Math.cos(node);
+    const sinNode = Math.sin(node);
+    const cosI = Math.cos(inclination);
+    const sinI = Math.sin(inclination);
+    return {
+        x: (cosW * cosNode - sinW * sinNode * cosI) * orbitX + (-sinW * cosNode - cosW * sinNode * cosI) * orbitY,
+        y: (cosW * sinNode + sinW * cosNode * cosI) * orbitX + (-sinW * sinNode + cosW * cosNode * cosI) * orbitY,
+        z: sinW * sinI * orbitX + cosW * sinI * orbitY,
+    };
+}
+
+
+
+export function getHeliocentricPosition(elements, time)
+/* Returns where a planet is on the given date as { x, y, z } in AU, measured from the Sun in the J2000 ecliptic frame: x points to the vernal equinox, y is 90 degrees further along the ecliptic, and z points to the ecliptic's north pole.
+parameters: elements - an entry of ORBITAL_ELEMENTS
+            time - the date in milliseconds since 1970 */ {
+    const current = getElementsAt(elements, time);
+    const E = solveKepler((current.meanLongitude - current.longitudeOfPerihelion) * DEG, current.eccentricity);
+    const point = getOrbitPoint({
+        eccentricity: current.eccentricity,
+        inclination: current.inclination,
+        argumentOfPerihelion: current.longitudeOfPerihelion - current.longitudeOfAscendingNode,
+        longitudeOfAscendingNode: current.longitudeOfAscendingNode,
+    }, E);
+    return {
+        x: point.x * current.semiMajorAxis,
+        y: point.y * current.semiMajorAxis,
+        z: point.z * current.semiMajorAxis,
+    };
+}
+
+
+
+export function getHeliocentricLongitude(elements, time)
+/* Returns the planet's heliocentric ecliptic longitude on the given date, in degrees from 0 to 360, counted from the vernal equinox in the direction the planets move. */ {
+    const { x, y } = getHeliocentricPosition(elements, time);
+    const longitude = Math.atan2(y, x) / DEG;
+    return (longitude + 360) % 360;
+}
+
+
+
+function normalizeRadians(angle)
+/* Brings an angle into the range -pi to pi, where Newton's method for Kepler's equation converges fastest. */ {
+    const turn = Math.PI * 2;
+    return angle - turn * Math.floor((angle + Math.PI) / turn);
+}
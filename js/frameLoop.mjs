@@ -0,0 +1,55 @@
+/* This module runs the single requestAnimationFrame loop shared by everything that animates the solar system view. Instead of each feature asking the browser for its own animation frames (and writing styles whenever an event fires), they schedule a task here and do their work and their DOM writes together once per frame. The loop stops by itself when no task needs another frame. */
+
+
+
+const tasks = new Set(); // tasks waiting to run on the next frame
+let frameId = null;
+let isRunning = false; // while the tasks run, the frame for anything they schedule is requested once at the end of runFrame
+let lastTime = null;
+const MAX_FRAME_DELTA = 0.05; // seconds. After a hidden tab or a long stall we pretend only this much time passed, so animations do not jump.
+
+
+
+export function scheduleFrame(task)
+/* Runs the task on the next animation frame. Scheduling the same task several times before that frame still runs it only once. The task is called with (time, deltaSeconds) and can return true to be run again on the frame after. */ {
+    tasks.add(task);
+    if (frameId === null && !isRunning) {
+        frameId = requestAnimationFrame(runFrame);
+    }
+}
+
+
+
+export function cancelFrame(task)
+/* Removes a task that was scheduled but has not run yet. */ {
+    tasks.delete(task);
+}
+
+
+
+function runFrame(time)
+/* Runs every task scheduled for this frame, in the order they were scheduled, and keeps the ones that ask for another frame. */ {
+    frameId = null;
+    const delta = lastTime === null ? 0 : Math.min((time - lastTime) / 1000, MAX_FRAME_DELTA);
+    const current = [...tasks];
+    tasks.clear();
+
+    isRunning = true;
+    current.forEach((task) => {
+        try {
+            if (task(time, delta)) {
+                tasks.add(task);
+            }
+        } catch (error) {
+            console.error("Animation frame task failed", error);
+        }
+    });
+    isRunning = false;
+
+    if (tasks.size) {
+        lastTime = time;
+        frameId = requestAnimationFrame(runFrame);
+    } else {
+        lastTime = null; // the next frame after an idle period starts fresh with a delta of 0
+    }
+}
@@ -0,0 +1,228 @@
+/* This module defines the GestureRecognizer class, which turns raw Pointer Events into the gestures the solar system view understands: drag, pinch, double-tap (or double-click), two-finger tap and long-press. Mouse, touch and pen all arrive as pointer events, so there is one code path for every kind of input. The recognizer does not move anything itself; it reports gestures through callbacks and leaves the reaction to whoever created it (see cameraController.mjs). */
+
+
+
+/**************************************************************************************************
+Gesture thresholds:
+TAP_SLOP is how far a pointer may wander (in pixels) and still count as a tap rather than a drag. The other values are the timing windows for each gesture in milliseconds.
+***************************************************************************************************/
+const TAP_SLOP = 8;
+const DOUBLE_TAP_DELAY = 300;
+const DOUBLE_TAP_SLOP = 30; // the second tap of a double-tap may land this far from the first
+const LONG_PRESS_DELAY = 550;
+const TWO_FINGER_TAP_DELAY = 300;
+const VELOCITY_WINDOW = 100; // the release velocity of a drag is averaged over its last this-many milliseconds
+
+
+
+export class GestureRecognizer {
+    #pointers = new Map(); // pointerId -> { x, y, startX, startY, captured }
+    #gesture = null; // the gesture in progress while at least one pointer is down
+    #lastTap = null; // { x, y, time } of the previous tap, used to detect double-taps
+    #longPressTimer = null;
+    #suppressClick = false;
+
+    constructor(element, options = {})
+    /* Starts listening for pointer events on the given element.
+    parameters: element - the element to watch
+                options - an object containing optional callbacks:
+                    isEnabled() - return false to ignore all input (for example while the camera is flying)
+                    onStart() - the first pointer went down, so a new gesture begins
+                    onPan(dx, dy) - one pointer moved by dx/dy pixels while dragging
+                    onPanEnd({ velocityX, velocityY }) - a drag ended; the velocity (pixels per second) is how fast the pointer was moving when it let go
+                    onPinch({ ratio, clientX, clientY, dx, dy }) - two pointers moved; ratio is the change in their spread, clientX/clientY is their midpoint and dx/dy is how far the midpoint moved
+                    onDoubleTap({ clientX, clientY, target }) - two quick taps in the same spot
+                    onTwoFingerTap({ clientX, clientY }) - two fingers touched and lifted together without moving
+                    onLongPress({ clientX, clientY, target }) - a pointer was held still; return true if the long-press was used, which cancels the click that would otherwise follow */ {
+        this.element = element;
+        this.options = options;
+
+        element.addEventListener("pointerdown", (e) => this.#handleDown(e));
+        element.addEventListener("pointermove", (e) => this.#handleMove(e));
+        element.addEventListener("pointerup", (e) => this.#handleUp(e));
+        element.addEventListener("pointercancel", (e) => this.#handleUp(e, { cancelled: true }));
+        element.addEventListener("click", (e) => this.#handleClick(e), { capture: true }); // capture runs before any click listeners further down, like the planet click handler
+    }
+
+    #isEnabled() {
+        return this.options.isEnabled ? this.options.isEnabled() : true;
+    }
+
+    #handleDown(e)
+    /* A pointer went down. The first pointer starts a new gesture and arms the long-press timer; a second pointer turns the gesture into a pinch. Any further pointers are ignored. */ {
+        if (!this.#isEnabled()) return;
+        if (e.pointerType === "mouse" && e.button !== 0) return; // only the primary mouse button pans
+        if (this.#pointers.size >= 2) return;
+
+        this.#pointers.set(e.pointerId, { x: e.clientX, y: e.clientY, startX: e.clientX, startY: e.clientY, captured: false });
+
+        if (this.#pointers.size === 1) {
+            this.#suppressClick = false;
+            this.#gesture = { moved: false, multiTouch: false, longPressed: false, twoFingerStart: 0, samples: [] };
+            this.#startLongPress(e);
+            this.options.onStart?.();
+            return;
+        }
+
+        this.#cancelLongPress();
+        this.#gesture.multiTouch = true;
+        this.#gesture.twoFingerStart = e.timeStamp;
+        this.#gesture.pinch = this.#measurePinch();
+    }
+
+    #handleMove(e)
+    /* A tracked pointer moved. With one pointer down this is a drag once it has moved past TAP_SLOP, with two it is a pinch. */ {
+        const pointer = this.#pointers.get(e.pointerId);
+        if (!pointer || !this.#gesture) return;
+
+        pointer.x = e.clientX;
+        pointer.y = e.clientY;
+        if (!this.#isEnabled()) return;
+
+        if (!pointer.captured && Math.hypot(pointer.x - pointer.startX, pointer.y - pointer.startY) > TAP_SLOP) {
+            this.#gesture.moved = true;
+            this.#cancelLongPress();
+            this.element.setPointerCapture?.(e.pointerId); // keep receiving moves even if the pointer leaves the element. We only capture once the pointer really moves, because capturing also retargets the click of a plain tap away from the planet under it.
+            pointer.captured = true;
+        }
+
+        if (this.#pointers.size === 2) {
+            const pinch = this.#measurePinch();
+            const previous = this.#gesture.pinch;
+            if (previous.distance) {
+                this.options.onPinch?.({
+                    ratio: pinch.distance / previous.distance,
+                    clientX: pinch.x,
+                    clientY: pinch.y,
+                    dx: pinch.x - previous.x,
+                    dy: pinch.y - previous.y,
+                });
+            }
+            this.#gesture.pinch = pinch;
+            return;
+        }
+
+        const last = this.#gesture.lastSingle ?? { x: pointer.startX, y: pointer.startY };
+        this.#gesture.lastSingle = { x: pointer.x, y: pointer.y };
+        if (this.#gesture.moved) {
+            this.options.onPan?.(pointer.x - last.x, pointer.y - last.y);
+            this.#recordSample(pointer.x - last.x, pointer.y - last.y, e.timeStamp);
+        }
+    }
+
+    #handleUp(e, { cancelled = false } = {})
+    /* A tracked pointer lifted (or was cancelled by the browser). When the last pointer lifts we decide which gesture, if any, just finished. */ {
+        const pointer = this.#pointers.get(e.pointerId);
+        if (!pointer) return;
+        this.#pointers.delete(e.pointerId);
+        if (pointer.captured) {
+            this.element.releasePointerCapture?.(e.pointerId);
+        }
+        this.#cancelLongPress();
+
+        const gesture = this.#gesture;
+        if (this.#pointers.size === 1) {
+            const [remaining] = this.#pointers.values();
+            gesture.lastSingle = { x: remaining.x, y: remaining.y }; // after a pinch, keep panning with the finger that is left
+            gesture.samples = [];
+            return;
+        }
+
+        this.#gesture = null;
+        if (!gesture || cancelled) return;
+
+        if (gesture.moved || gesture.longPressed) {
+            this.#suppressClick = true; // a drag or long-press should not also count as a click on whatever is under the pointer
+            this.#lastTap = null;
+            if (gesture.moved) {
+                this.options.onPanEnd?.(this.#measureVelocity(gesture, e.timeStamp));
+            }
+            return;
+        }
+
+        if (gesture.multiTouch) {
+            this.#lastTap = null;
+            if (e.timeStamp - gesture.twoFingerStart <= TWO_FINGER_TAP_DELAY && gesture.pinch) {
+                this.options.onTwoFingerTap?.({ clientX: gesture.pinch.x, clientY: gesture.pinch.y });
+            }
+            return;
+        }
+
+        this.#registerTap(e);
+    }
+
+    #registerTap(e)
+    /* Records a single tap and reports a double-tap when it closely follows the previous one. */ {
+        const tap = { x: e.clientX, y: e.clientY, time: e.timeStamp };
+        const previous = this.#lastTap;
+        const isDoubleTap = previous &&
+            tap.time - previous.time <= DOUBLE_TAP_DELAY &&
+            Math.hypot(tap.x - previous.x, tap.y - previous.y) <= DOUBLE_TAP_SLOP;
+
+        if (isDoubleTap) {
+            this.#lastTap = null;
+            this.options.onDoubleTap?.({ clientX: tap.x, clientY: tap.y, target: e.target });
+            return;
+        }
+        this.#lastTap = tap;
+    }
+
+    #handleClick(e)
+    /* Swallows the click the browser fires at the end of a drag or long-press. */ {
+        if (!this.#suppressClick) return;
+        this.#suppressClick = false;
+        e.stopPropagation();
+        e.preventDefault();
+    }
+
+    #startLongPress(e) {
+        const { clientX, clientY, target } = e;
+        this.#longPressTimer = setTimeout(() => {
+            this.#longPressTimer = null;
+            if (!this.#gesture || !this.#isEnabled()) return;
+            if (this.options.onLongPress?.({ clientX, clientY, target })) {
+                this.#gesture.longPressed = true;
+            }
+        }, LONG_PRESS_DELAY);
+    }
+
+    #cancelLongPress() {
+        if (this.#longPressTimer !== null) {
+            clearTimeout(this.#longPressTimer);
+            this.#longPressTimer = null;
+        }
+    }
+
+    #recordSample(dx, dy, time)
+    /* Remembers one drag movement for the release velocity, dropping samples that have fallen out of the velocity window. */ {
+        const samples = this.#gesture.samples;
+        samples.push({ dx, dy, time });
+        while (samples.length && time - samples[0].time > VELOCITY_WINDOW) {
+            samples.shift();
+        }
+    }
+
+    #measureVelocity(gesture, releaseTime)
+    /* Averages the recent drag movements into a velocity in pixels per second. The first sample only marks when the window starts, its own movement happened before that. A pointer that stopped before letting go has no velocity. */ {
+        const recent = gesture.samples.filter((sample) => releaseTime - sample.time <= VELOCITY_WINDOW);
+        if (recent.length < 2) return { velocityX: 0, velocityY: 0 };
+
+        const elapsed = (releaseTime - recent[0].time) / 1000;
+        const totalX = recent.slice(1).reduce((sum, sample) => sum + sample.dx, 0);
+        const totalY = recent.slice(1).reduce((sum, sample) => sum + sample.dy, 0);
+        return {
+            velocityX: elapsed > 0 ? totalX / elapsed : 0,
+            velocityY: elapsed > 0 ? totalY / elapsed : 0,
+        };
+    }
+
+    #measurePinch()
+    /* Returns the distance between the two tracked pointers and the midpoint between them. */ {
+        const [a, b] = this.#pointers.values();
+        return {
+            distance: Math.hypot(a.x - b.x, a.y - b.y),
+            x: (a.x + b.x) / 2,
+            y: (a.y + b.y) / 2,
+        };
+    }
+}
@@ -0,0 +1,201 @@
+/* This module defines the LabelLayer class, which writes the name of the Sun, every planet and every moon next to it in the solar system view, so you can tell which dot is which without hovering each one. The labels live in their own layer over the view rather than in the scaled world, so they stay the same size on screen at every zoom. Zoomed far out the bodies crowd together and the labels would only be clutter, so they fade out below a zoom threshold. Moon labels show up with the moons themselves (see MOON_VISIBLE_SCALE in solarSystem.mjs).
+
+Labels never overlap. Every frame they are placed one at a time, the followed body first, then the Sun, the planets from the Sun outward and the moons. Each label tries the right of its body, then the left, above and below, then moves further up or down beside the body, and takes the first spot that is clear of the labels already placed. A label with no clear spot left is hidden until there is room again. */
+
+
+
+import { worldToScreen } from "./camera.mjs";
+import { scheduleFrame } from "./frameLoop.mjs";
+
+
+
+const LABEL_HIDE_SCALE = 0.2; // below this zoom the labels are gone, the bodies are too close together to tell apart
+const LABEL_SHOW_SCALE = 0.35; // from this zoom on the labels are fully shown. In between they fade.
+const LABEL_GAP = 4; // screen pixels between a body's edge and its label
+const LABEL_SPACING = 2; // screen pixels kept clear between labels
+const LABEL_MAX_SHIFT = 3; // how many label heights a label can move up or down beside its body to get clear of the others
+const TRUE_DISTANCE_SUN_SCALE = 0.1; // the Sun shrinks with true distances (like .true-distances #sun in styles.css)
+
+
+
+export class LabelLayer {
+    #camera;
+    #layer;
+    #options;
+    #isEnabled = false;
+    #labels = []; // { entry, element, width, height } for every body, in the order they are placed
+    #frame = () => this.#draw();
+
+    constructor(camera, layer, options = {})
+    /* Sets up the labels for the given camera. They are hidden until enable() is called.
+    parameters: camera - the Camera whose view is labelled
+                layer - the element covering the solar system container that holds the labels
+                options - an object containing:
+                    bodies - an array of { data, parent, element } for every planet and moon, where parent is the planet's data for a moon (null for a planet) and element is the body's DOM element
+                    star - { data, element } for the Sun, or null
+                    layout - the ScaleLayout sizing the bodies, its "change" events move the labels
+                    clock - the SimClock moving the planets, its "tick" events move the labels
+                    getBodyOffset(bodyData) - returns where the body is right now, as { x, y } in world pixels measured from what it orbits
+                    isPlanetVisible(planetData) - returns false for planets hidden in the view, which get no label (nor do their moons) */ {
+        this.#camera = camera;
+        this.#layer = layer;
+        this.#options = options;
+        if (!layer) return;
+
+        const entries = [...(options.star ? [{ ...options.star, parent: null }] : []), ...(options.bodies ?? [])];
+        this.#labels = entries.map((entry) => {
+            const element = document.createElement("span");
+            element.className = entry.parent ? "body-label body-label--moon" : "body-label";
+            element.textContent = entry.data.name;
+            layer.appendChild(element);
+            return { entry, element, width: 0, height: 0 };
+        });
+
+        const redraw = () => this.redraw();
+        const container = camera.container;
+        ["change", "followstart", "followend", "flystart", "flyend"].forEach((type) => camera.addEventListener(type, redraw));
+        options.clock?.addEventListener("tick", redraw);
+        options.layout?.addEventListener("change", redraw);
+        ["viewoptionschange", "dwarfvisibilitychange"].forEach((type) => container?.addEventListener(type, redraw));
+        if (typeof ResizeObserver === "function" && container) {
+            new ResizeObserver(redraw).observe(container);
+        }
+        document.fonts?.ready.then(() => { // the labels are measured once, which has to wait for the page's font
+            this.#labels.forEach((label) => {
+                label.width = 0;
+            });
+            this.redraw();
+        });
+    }
+
+    get isEnabled() {
+        return this.#isEnabled;
+    }
+
+    enable()
+    /* Shows the labels (see .show-labels in styles.css). */ {
+        if (!this.#layer) return;
+        this.#isEnabled = true;
+        this.#camera.container?.classList.add("show-labels");
+        this.redraw();
+    }
+
+    disable()
+    /* Hides the labels. */ {
+        this.#isEnabled = false;
+        this.#camera.container?.classList.remove("show-labels");
+    }
+
+    redraw()
+    /* Schedules the labels to be placed again on the next frame. */ {
+        if (this.#isEnabled) {
+            scheduleFrame(this.#frame);
+        }
+    }
+
+    #draw()
+    /* Places every label for the current camera state, or fades them all out when zoomed too far out. */ {
+        const layer = this.#layer;
+        const state = this.#camera.getState();
+        const fade = Math.min(Math.max((state.scale - LABEL_HIDE_SCALE) / (LABEL_SHOW_SCALE - LABEL_HIDE_SCALE), 0), 1);
+        layer.style.opacity = String(fade);
+        if (!fade) return;
+
+        this.#labels.forEach((label) => { // measured before anything is moved, so the browser lays the page out only once
+            if (!label.width) {
+                label.width = label.element.offsetWidth;
+                label.height = label.element.offsetHeight;
+            }
+        });
+
+        const width = layer.clientWidth;
+        const height = layer.clientHeight;
+        const world = this.#camera.world;
+        const origin = { x: (world?.offsetWidth || 0) / 2, y: (world?.offsetHeight || 0) / 2 }; // the Sun sits in the middle of the world element
+        const toLayer = (point) => {
+            const screen = worldToScreen(state, point, origin); // measured from the container center
+            return { x: width / 2 + screen.x, y: height / 2 + screen.y };
+        };
+        const container = this.#camera.container;
+        const showMoons = Boolean(container?.classList.contains("show-moons"));
+        const isPlanetVisible = (planetData) => this.#options.isPlanetVisible?.(planetData) ?? true;
+
+        const planetPositions = new Map();
+        const shown = []; // { label, center, radius } for every body on screen
+        this.#labels.forEach((label) => {
+            const { data, parent } = label.entry;
+            let position = origin;
+            if (data.category !== "star") {
+                const anchor = parent ? planetPositions.get(parent) : origin;
+                const offset = anchor ? this.#options.getBodyOffset?.(data) ?? { x: 0, y: 0 } : null;
+                position = offset ? { x: anchor.x + offset.x, y: anchor.y + offset.y } : null;
+                if (position && !parent) {
+                    planetPositions.set(data, position);
+                }
+            }
+            const isShown = position && isPlanetVisible(parent ?? data) && (!parent || showMoons);
+            const center = isShown ? toLayer(position) : null;
+            if (!center || center.x < 0 || center.y < 0 || center.x > width || center.y > height) {
+                label.element.style.visibility = "hidden";
+                return;
+            }
+            shown.push({ label, center, radius: (this.#getSize(data) / 2) * state.scale });
+        });
+
+        const isFollowed = ({ label }) => label.entry.element.classList.contains("is-followed");
+        shown.sort((a, b) => isFollowed(b) - isFollowed(a) || Boolean(a.label.entry.parent) - Boolean(b.label.entry.parent)); // the followed body always keeps its label, and the planets come before any moon. The sort is stable, so the rest keep their order.
+
+        const placed = [];
+        shown.forEach(({ label, center, radius }) => {
+            const spot = findClearSpot(label, center, radius, placed);
+            label.element.classList.toggle("is-followed", isFollowed({ label }));
+            if (!spot) {
+                label.element.style.visibility = "hidden";
+                return;
+            }
+            placed.push({ x: spot.x, y: spot.y, width: label.width, height: label.height });
+            label.element.style.visibility = "";
+            label.element.style.transform = `translate(${Math.round(spot.x)}px, ${Math.round(spot.y)}px)`;
+        });
+    }
+
+    #getSize(bodyData)
+    /* The body's diameter in world pixels right now, as drawn in the view. */ {
+        if (bodyData.category === "star") {
+            const isShrunk = this.#camera.container?.classList.contains("true-distances");
+            return (Number(bodyData.size) || 0) * (isShrunk ? TRUE_DISTANCE_SUN_SCALE : 1);
+        }
+        return this.#options.layout?.getSize(bodyData) ?? (Number(bodyData.size) || 0);
+    }
+}
+
+
+
+function findClearSpot(label, center, radius, placed)
+/* Returns the top left corner of the first spot next to the body where the label overlaps none of the placed labels, or null if there is none. */ {
+    const { width, height } = label;
+    const middle = center.y - height / 2;
+    const right = center.x + radius + LABEL_GAP;
+    const left = center.x - radius - LABEL_GAP - width;
+    const candidates = [
+        { x: right, y: middle },
+        { x: left, y: middle },
+        { x: center.x - width / 2, y: center.y - radius - LABEL_GAP - height },
+        { x: center.x - width / 2, y: center.y + radius + LABEL_GAP },
+    ];
+    for (let shift = 1; shift <= LABEL_MAX_SHIFT; shift++) {
+        const step = shift * (height + LABEL_SPACING);
+        candidates.push({ x: right, y: middle - step }, { x: right, y: middle + step }, { x: left, y: middle - step }, { x: left, y: middle + step });
+    }
+    return candidates.find((spot) => placed.every((other) => !isOverlapping(spot, label, other))) ?? null;
+}
+
+
+
+function isOverlapping(spot, { width, height }, other)
+/* Whether a label of the given size at spot would overlap (or come closer than LABEL_SPACING to) another placed label. */ {
+    return spot.x < other.x + other.width + LABEL_SPACING
+        && other.x < spot.x + width + LABEL_SPACING
+        && spot.y < other.y + other.height + LABEL_SPACING
+        && other.y < spot.y + height + LABEL_SPACING;
+}
@@ -3,10 +3,13 @@
 
 
 import { handleApodFavoriteUpdated, handlePageShow, initHomePage } from "./mainServices.mjs";
+import { initUnitSync } from "./unitPreferences.mjs";
+
+initUnitSync(); // Follow the unit system chosen in other tabs, so the tooltips and the planet panel show the same units everywhere.
 
 window.addEventListener("DOMContentLoaded", initHomePage); // When DOM is fully loaded, we call the initHomePage function to set up the initial state of the home page, including fetching and displaying the APOD and any relevant welcome messages based on the user's visit history.
 
-window.addEventListener("pageshow", handlePageShow); // When the page is shown, we call the handlePageShow function to handle any necessary actions related to page visibility changes, such as reloading the page if it was loaded from the bfcache.
+window.addEventListener("pageshow", handlePageShow); // When the page is shown, we call the handlePageShow function to handle any necessary actions related to page visibility changes, such as restoring the solar system view if the page was loaded from the bfcache.
 
 document.addEventListener("apodFavoriteUpdated", handleApodFavoriteUpdated); // When the custom "apodFavoriteUpdated" event is dispatched, we call the handleApodFavoriteUpdated function to update the favorite gallery accordingly.
 
@@ -2,7 +2,7 @@
 
 
 
-import { initSolarSystem } from "./solarSystem.mjs";
+import { initSolarSystem, restoreSolarView } from "./solarSystem.mjs";
 import { isFavoriteByKey, getLocalStorage, loadFavoritesByKey, loadPageMutuals, setLocalStorage, toggleFavoriteByKey } from "./utils.mjs";
 import { buildFavoriteCard, createApodCard, createFavoriteToggle } from "./cardBuilder.mjs";
 import { buildApodArchiveUrl, buildApodFavorite, getApodData, preloadNinjaPlanetsData, resolveApodFavoriteImage } from "./dataStuff.mjs";
@@ -30,9 +30,9 @@ export function initHomePage()
 
 
 export function handlePageShow(event)
-/* When back/forward navigation occurs, I found that the fly-in animation got stuck and because of other settings, we couldnt interact with the page unless we refreshed. This solves it by reloading a page if it was loaded from the bfcache (back-forward cache) which is what happens when navigating with the back and forward buttons. This way, we ensure that the page is in a fresh state and the animations work correctly when the user navigates back to it. */ {
+/* When back/forward navigation brings the page back from the bfcache (back-forward cache), it is frozen exactly as we left it, usually halfway through the fly-in to a planet page. Instead of reloading the page (which used to throw the user back to the default view), we cancel the flight and restore the view that was saved in the URL hash just before it started. */ {
     if (event.persisted) {
-        window.location.reload();
+        restoreSolarView();
     }
 }
 
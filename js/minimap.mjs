@@ -0,0 +1,203 @@
+/* This module draws the minimap in the corner of the solar system view. It shows every orbit and where each planet is right now, with a rectangle for the part of the system the camera is looking at. Clicking or dragging on the minimap moves the main camera there, which makes it easy to find your way back after zooming in.
+
+The asteroid and Kuiper belts are shown as faint bands. The minimap is drawn on a canvas. It redraws whenever the camera moves or the simulation clock ticks, at most once per frame. */
+
+
+
+import { scheduleFrame } from "./frameLoop.mjs";
+
+
+
+const MINIMAP_PADDING = 8; // pixels between the outermost orbit and the edge of the minimap
+const MINIMAP_COLORS = {
+    background: "rgba(0, 0, 0, 0.55)",
+    orbit: "rgba(255, 255, 255, 0.25)",
+    sun: "#ffd000",
+    planet: "#ffffff",
+    followed: "#ffae00",
+    viewport: "#ffae00",
+};
+const MINIMAP_BELT_OPACITY = 0.18;
+
+
+
+export function initMinimap(camera, options = {})
+/* Sets up the minimap canvas (#minimap) for the given camera.
+parameters: camera - the Camera whose view the minimap shows and moves
+            options - an object containing:
+                planets - the planet configuration array from planets.json
+                clock - the SimClock moving the planets, its "tick" events redraw the minimap
+                layout - the ScaleLayout sizing the orbits, its "change" events redraw the minimap
+                getPlanetPosition(planetData) - returns where the planet is right now, as { x, y } in world pixels measured from the Sun
+                getOrbitOutline(planetData) - returns the points of the planet's orbit, measured the same way
+                isPlanetVisible(planetData) - returns false for planets hidden in the main view, which are left off the minimap too
+                getBelts() - returns the belts as an array of { inner, outer, color } with their edges in world pixels from the Sun
+returns: an object with redraw(), for when something the options describe changes without an event the minimap hears */ {
+    const canvas = document.getElementById("minimap");
+    const context = canvas?.getContext?.("2d");
+    if (!canvas || !context) return { redraw: () => {} };
+
+    const planets = options.planets ?? [];
+    let outlines = [];
+    let belts = [];
+    const isVisible = (planet) => options.isPlanetVisible?.(planet) ?? true;
+    const measureOrbits = () =>
+    /* Works out the orbit outlines and the belts, and how far out the outermost of them reaches. They only change when the scale mode or the visible planets do. */ {
+        outlines = planets.filter(isVisible).map((planet) => options.getOrbitOutline?.(planet) ?? []);
+        belts = options.getBelts?.() ?? [];
+        return Math.max(1, ...outlines.flat().map((point) => Math.hypot(point.x, point.y)), ...belts.map((belt) => belt.outer));
+    };
+    let outerRadius = measureOrbits();
+
+    const getLayout = () =>
+    /* Works out how world coordinates map onto the canvas at its current size. */ {
+        const size = Math.min(canvas.clientWidth, canvas.clientHeight) || canvas.width;
+        return {
+            size,
+            scale: (size / 2 - MINIMAP_PADDING) / outerRadius, // minimap pixels per world pixel
+            sun: getSunPosition(camera),
+        };
+    };
+
+    const draw = () =>
+    /* Draws the whole minimap: orbits, the Sun, the planets and the viewport rectangle. */ {
+        const layout = getLayout();
+        resizeCanvas(canvas, layout.size);
+        const center = layout.size / 2;
+        const toMinimap = (world) => ({
+            x: center + (world.x - layout.sun.x) * layout.scale,
+            y: center + (world.y - layout.sun.y) * layout.scale,
+        });
+
+        context.setTransform(canvas.width / layout.size, 0, 0, canvas.height / layout.size, 0, 0); // draw in CSS pixels whatever the device pixel ratio
+        context.clearRect(0, 0, layout.size, layout.size);
+        context.fillStyle = MINIMAP_COLORS.background;
+        context.beginPath();
+        context.arc(center, center, center, 0, Math.PI * 2);
+        context.fill();
+
+        belts.forEach((belt) => {
+            const inner = belt.inner * layout.scale;
+            const outer = belt.outer * layout.scale;
+            if (outer <= inner) return;
+            context.fillStyle = belt.color;
+            context.globalAlpha = MINIMAP_BELT_OPACITY;
+            context.beginPath();
+            context.arc(center, center, outer, 0, Math.PI * 2);
+            context.arc(center, center, inner, 0, Math.PI * 2, true); // drawn the other way round, so the inside stays empty
+            context.fill();
+            context.globalAlpha = 1;
+        });
+
+        context.strokeStyle = MINIMAP_COLORS.orbit;
+        context.lineWidth = 1;
+        outlines.forEach((outline) => {
+            if (!outline.length) return;
+            context.beginPath();
+            outline.forEach((point, index) => {
+                const x = center + point.x * layout.scale;
+                const y = center + point.y * layout.scale;
+                if (index === 0) {
+                    context.moveTo(x, y);
+                } else {
+                    context.lineTo(x, y);
+                }
+            });
+            context.closePath();
+            context.stroke();
+        });
+
+        context.fillStyle = MINIMAP_COLORS.sun;
+        context.beginPath();
+        context.arc(center, center, 3, 0, Math.PI * 2);
+        context.fill();
+
+        planets.filter(isVisible).forEach((planet) => {
+            const offset = options.getPlanetPosition?.(planet);
+            if (!offset) return;
+            const point = toMinimap({ x: layout.sun.x + offset.x, y: layout.sun.y + offset.y });
+            const isFollowed = camera.followTarget === planet.name?.toLowerCase();
+            context.fillStyle = isFollowed ? MINIMAP_COLORS.followed : planet.color ?? MINIMAP_COLORS.planet;
+            context.beginPath();
+            context.arc(point.x, point.y, isFollowed ? 3 : 2, 0, Math.PI * 2);
+            context.fill();
+        });
+
+        const viewport = camera.getViewport();
+        const topLeft = toMinimap({ x: viewport.left, y: viewport.top });
+        const bottomRight = toMinimap({ x: viewport.right, y: viewport.bottom });
+        context.strokeStyle = MINIMAP_COLORS.viewport;
+        context.lineWidth = 1.5;
+        context.strokeRect(topLeft.x, topLeft.y, Math.max(2, bottomRight.x - topLeft.x), Math.max(2, bottomRight.y - topLeft.y)); // never smaller than a dot, even zoomed all the way in
+    };
+
+    const scheduleDraw = () => scheduleFrame(draw);
+
+    const jumpTo = (e) =>
+    /* Moves the main camera so it is centered on the spot under the pointer. */ {
+        if (camera.isFlying) return;
+        const layout = getLayout();
+        const rect = canvas.getBoundingClientRect();
+        camera.centerOn({
+            x: layout.sun.x + (e.clientX - rect.left - layout.size / 2) / layout.scale,
+            y: layout.sun.y + (e.clientY - rect.top - layout.size / 2) / layout.scale,
+        });
+    };
+
+    let activePointer = null; // the pointer dragging on the minimap, if any
+
+    canvas.addEventListener("pointerdown", (e) => {
+        e.stopPropagation(); // the minimap sits inside the solar system container, whose own gestures would pan the map as well
+        if (e.pointerType === "mouse" && e.button !== 0) return;
+        activePointer = e.pointerId;
+        canvas.setPointerCapture?.(e.pointerId);
+        jumpTo(e);
+    });
+    canvas.addEventListener("pointermove", (e) => {
+        if (e.pointerId === activePointer) {
+            jumpTo(e);
+        }
+    });
+    ["pointerup", "pointercancel"].forEach((type) => {
+        canvas.addEventListener(type, (e) => {
+            if (e.pointerId === activePointer) {
+                activePointer = null;
+            }
+        });
+    });
+    canvas.addEventListener("wheel", (e) => e.stopPropagation());
+
+    camera.addEventListener("change", scheduleDraw);
+    camera.addEventListener("followstart", scheduleDraw);
+    camera.addEventListener("followend", scheduleDraw);
+    options.clock?.addEventListener("tick", scheduleDraw);
+    const redraw = () => {
+        outerRadius = measureOrbits();
+        scheduleDraw();
+    };
+    options.layout?.addEventListener("change", redraw);
+    scheduleDraw();
+    return { redraw };
+}
+
+
+
+function getSunPosition(camera)
+/* The Sun sits in the middle of the world element. */ {
+    const world = camera.world;
+    return {
+        x: (world?.offsetWidth || 0) / 2,
+        y: (world?.offsetHeight || 0) / 2,
+    };
+}
+
+
+
+function resizeCanvas(canvas, size)
+/* Matches the canvas's pixel size to its displayed size times the device pixel ratio, so the minimap stays sharp on high-density screens. */ {
+    const pixels = Math.round(size * (window.devicePixelRatio || 1));
+    if (canvas.width !== pixels || canvas.height !== pixels) {
+        canvas.width = pixels;
+        canvas.height = pixels;
+    }
+}
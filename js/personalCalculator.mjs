@@ -0,0 +1,211 @@
+/* This module runs the "You on this planet" panel of the planet page. Visitors enter their weight and birthdate, and it shows what they would weigh on the planet, how old they are in the planet's years and when their next birthday there is, as well as how long a light signal, or a spacecraft at a speed they choose, would take to get there from Earth right now.
+
+Everything is worked out from the planet's data: its gravity from the Ninja Planets data and planets.json (see buildPhysicsData in dataStuff.mjs), compared to Earth's worked out the same way, its year from its orbital period, and its distance from Earth today from the orbital elements (ephemeris.mjs). What was entered is kept in local storage, never sent anywhere, so the panel is already filled in on the next planet's page. The math itself is in physics.mjs and personalMath.mjs. */
+
+
+
+import { AU_KM, buildPhysicsData, EARTH_GRAVITY, formatAuDistance, getPlanetData } from "./dataStuff.mjs";
+import { getHeliocentricPosition, getOrbitalElements } from "./ephemeris.mjs";
+import { formatDuration, getPlanetAge } from "./personalMath.mjs";
+import { getTravelTime, getWeightOnSurface, SPEED_OF_LIGHT_KM_S } from "./physics.mjs";
+import { DAY_MS } from "./simClock.mjs";
+import { getUnitSystem } from "./unitPreferences.mjs";
+import { getLocalStorage, setLocalStorage } from "./utils.mjs";
+
+
+
+const PERSONAL_STORAGE_KEY = "personalDetails";
+
+const DEFAULT_SPACECRAFT_SPEED_KM_S = 17; // about Voyager 1's speed, the fastest spacecraft leaving the solar system
+
+
+
+export async function initPersonalCalculator(planetConfig, planetData, earthConfig)
+/* Shows the panel for a planet and fills in the results whenever something is entered.
+parameters: planetConfig - the planet's entry in planets.json
+            planetData - the planet's data from the Ninja Planets API
+            earthConfig - Earth's entry in planets.json, to compare the planet's gravity with */ {
+    const heading = document.getElementById("personal-heading");
+    const section = document.getElementById("personal-calculator");
+    const form = document.getElementById("personal-form");
+    if (!section || !form || !planetConfig) return;
+
+    const inputs = {
+        weight: document.getElementById("personal-weight"),
+        weightUnit: document.getElementById("personal-weight-unit"),
+        birthdate: document.getElementById("personal-birthdate"),
+        speed: document.getElementById("personal-speed"),
+    };
+    const stored = loadPersonalDetails();
+    if (inputs.weight) inputs.weight.value = stored.weight ?? "";
+    if (inputs.weightUnit) inputs.weightUnit.value = stored.weightUnit ?? (getUnitSystem() === "imperial" ? "lbs" : "kg");
+    if (inputs.birthdate) inputs.birthdate.value = stored.birthdate ?? "";
+    if (inputs.speed) inputs.speed.value = stored.speed ?? DEFAULT_SPACECRAFT_SPEED_KM_S;
+
+    document.querySelectorAll(".personal-planet-name").forEach((element) => {
+        element.textContent = planetConfig.name;
+    });
+    const surfaceGravity = buildPhysicsData(planetData, planetConfig).surfaceGravity;
+    const planet = {
+        name: planetConfig.name,
+        isEarth: planetConfig === earthConfig,
+        surfaceGravity,
+        earthGravity: planetConfig === earthConfig ? surfaceGravity : await getEarthGravity(earthConfig),
+        period: Number(planetConfig.orbitalPeriod ?? planetData?.period) || null, // planets.json has more digits than the API
+    };
+
+    const update = () => {
+        const details = {
+            weight: inputs.weight?.value ?? "",
+            weightUnit: inputs.weightUnit?.value ?? "kg",
+            birthdate: inputs.birthdate?.value ?? "",
+            speed: inputs.speed?.value ?? "",
+        };
+        setLocalStorage(PERSONAL_STORAGE_KEY, details);
+        showResults(planet, details);
+    };
+    form.addEventListener("input", update);
+    form.addEventListener("submit", (event) => event.preventDefault()); // everything updates as it is typed, Enter has nothing left to do
+    document.addEventListener("unitsystemchange", update);
+
+    section.hidden = false;
+    if (heading) {
+        heading.hidden = false;
+    }
+    update();
+}
+
+
+
+async function getEarthGravity(earthConfig)
+/* Earth's surface gravity worked out from its data the same way as the planet's, so the weights compare like for like. Falls back to the gravity from Earth's textbook mass and radius when its data can not be loaded. */ {
+    try {
+        const gravity = buildPhysicsData(await getPlanetData("earth"), earthConfig).surfaceGravity;
+        if (gravity) return gravity;
+    } catch (error) {
+        console.warn("Failed to load Earth's data for the weight comparison", error);
+    }
+    return EARTH_GRAVITY;
+}
+
+
+
+function loadPersonalDetails()
+/* Returns what was entered last time, or an empty object. */ {
+    try {
+        const stored = getLocalStorage(PERSONAL_STORAGE_KEY);
+        return stored && typeof stored === "object" ? stored : {};
+    } catch {
+        return {};
+    }
+}
+
+
+
+function showResults(planet, details)
+/* Works out and shows every result for what was entered. */ {
+    const now = Date.now();
+    setResult("personal-weight-result", describeWeight(planet, Number(details.weight), details.weightUnit));
+
+    const birth = parseDate(details.birthdate);
+    const age = describeAge(planet, birth, now);
+    setResult("personal-age-result", age.age);
+    setResult("personal-birthday-result", age.birthday);
+
+    const distanceAu = getDistanceFromEarth(planet.name, now);
+    setResult("personal-light-result", describeTrip(distanceAu, SPEED_OF_LIGHT_KM_S));
+    const speed = Number(details.speed);
+    setResult("personal-spacecraft-result", details.speed !== "" && speed > 0 ? describeTrip(distanceAu, speed) : "Enter a speed above 0 km/s.");
+}
+
+
+
+function setResult(id, text)
+/* Writes one result into the panel. */ {
+    const element = document.getElementById(id);
+    if (element) {
+        element.textContent = text;
+    }
+}
+
+
+
+function describeWeight(planet, weight, unit)
+/* "About 26 kg, 0.38 times your weight on Earth." */ {
+    if (!(weight > 0)) return "Enter your weight to see it here.";
+    const weightThere = getWeightOnSurface(weight, planet.surfaceGravity, planet.earthGravity);
+    if (weightThere == null) return "We do not know the gravity here.";
+    const number = weightThere.toLocaleString(undefined, { maximumFractionDigits: 0 });
+    const ratio = (weightThere / weight).toLocaleString(undefined, { maximumSignificantDigits: 2 });
+    return ratio === "1" ? `About ${number} ${unit}, the same as on Earth.` : `About ${number} ${unit}, ${ratio} times your weight on Earth.`;
+}
+
+
+
+function describeAge(planet, birth, now)
+/* Returns { age, birthday }: how many of the planet's years old you are, and when and which your next birthday there is. */ {
+    if (!birth) {
+        const message = "Enter your birthdate to see it here.";
+        return { age: message, birthday: message };
+    }
+    if (birth.getTime() > now) {
+        const message = "Your birthdate is still to come.";
+        return { age: message, birthday: message };
+    }
+    const age = getPlanetAge(birth, now, planet.period, { useCalendar: planet.isEarth });
+    if (!age) {
+        const message = `We do not know how long a year on ${planet.name} is.`;
+        return { age: message, birthday: message };
+    }
+
+    const years = Math.round(age.years * 100) / 100; // rounded as shown, so exactly "1" reads as a year
+    const nextDate = new Date(age.nextBirthdayTime);
+    const daysLeft = Math.ceil((age.nextBirthdayTime - now) / DAY_MS);
+    const dateText = nextDate.toLocaleDateString(undefined, { year: "numeric", month: "long", day: "numeric" });
+    const birthday = `Your ${toOrdinal(age.nextBirthday)} ${planet.name} birthday is on ${dateText}, in ${daysLeft.toLocaleString()} Earth ${daysLeft === 1 ? "day" : "days"}.`;
+    return {
+        age: `${years.toLocaleString()} ${planet.name} ${years === 1 ? "year" : "years"} old.`,
+        birthday: age.birthdayToday ? `Today is your ${toOrdinal(age.nextBirthday - 1)} ${planet.name} birthday. Happy birthday! ${birthday}` : birthday,
+    };
+}
+
+
+
+function describeTrip(distanceAu, speedKmS)
+/* "12 minutes 30 seconds to cover 1.5 AU or 224.4 million km." */ {
+    if (distanceAu == null) return "We do not know where it is right now.";
+    if (distanceAu === 0) return "You are already here!";
+    const seconds = getTravelTime(distanceAu * AU_KM, speedKmS);
+    return `${formatDuration(seconds)} to cover ${formatAuDistance(distanceAu)}.`;
+}
+
+
+
+function getDistanceFromEarth(name, time)
+/* How far the planet is from Earth at the given time, in AU, from both their orbital elements (0 for Earth itself). Returns null without elements. */ {
+    const elements = getOrbitalElements(name);
+    const earthElements = getOrbitalElements("earth");
+    if (!elements || !earthElements) return null;
+    if (elements === earthElements) return 0;
+    const planet = getHeliocentricPosition(elements, time);
+    const earth = getHeliocentricPosition(earthElements, time);
+    return Math.hypot(planet.x - earth.x, planet.y - earth.y, planet.z - earth.z);
+}
+
+
+
+function parseDate(value)
+/* Turns an <input type="date"> value (YYYY-MM-DD) into midnight of that day in the visitor's time zone, or null. */ {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value ?? "");
+    if (!match) return null;
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+
+
+function toOrdinal(number)
+/* 1st, 2nd, 3rd, 4th, 11th, 21st... */ {
+    const suffixes = { one: "st", two: "nd", few: "rd", other: "th" };
+    return `${number}${suffixes[new Intl.PluralRules("en-US", { type: "ordinal" }).select(number)]}`;
+}
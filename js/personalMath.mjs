@@ -0,0 +1,66 @@
+/* This module holds the date math of the "You on this planet" panel (personalCalculator.mjs): how many of a planet's years old someone is, when their next birthday there is, and how a travel time reads. It is plain math on dates and numbers, so it needs no page (see tests/personalMath.test.mjs).
+
+A year on another planet is its orbital period, counted from the moment of birth. Earth is different: the calendar keeps in step with its orbit through leap years, so an Earth birthday is the usual one on the calendar, and the age is counted from birthday to birthday. */
+
+
+
+import { DAY_MS } from "./simClock.mjs";
+
+
+
+const YEAR_S = 365.25 * 24 * 60 * 60;
+
+const DURATION_UNITS = [["year", YEAR_S], ["day", 86400], ["hour", 3600], ["minute", 60], ["second", 1]];
+
+
+
+export function getPlanetAge(birth, now, periodDays, { useCalendar = false } = {})
+/* Works out an age in a planet's years and the next birthday there.
+parameters: birth - the birthdate, as a Date at midnight of that day
+            now - the current time in milliseconds since 1970
+            periodDays - the planet's orbital period in Earth days
+            useCalendar - count calendar years instead of orbits, for Earth
+returns: { years, birthdayToday, nextBirthday, nextBirthdayTime } where years is the age with its fraction, birthdayToday whether the last birthday was less than a day ago, nextBirthday which birthday comes next (1 for the first) and nextBirthdayTime when, or null if birth is after now or there is no period */ {
+    const birthTime = birth?.getTime();
+    if (!Number.isFinite(birthTime) || birthTime > now) return null;
+
+    let count; // birthdays so far
+    let lastTime;
+    let nextTime;
+    if (useCalendar) {
+        const birthday = (years) => new Date(birth.getFullYear() + years, birth.getMonth(), birth.getDate()).getTime(); // a 29 February birthday falls on 1 March in other years
+        count = new Date(now).getFullYear() - birth.getFullYear();
+        if (birthday(count) > now) {
+            count--;
+        }
+        lastTime = birthday(count);
+        nextTime = birthday(count + 1);
+    } else {
+        if (!(periodDays > 0)) return null;
+        const yearMs = periodDays * DAY_MS;
+        count = Math.floor((now - birthTime) / yearMs);
+        lastTime = birthTime + count * yearMs;
+        nextTime = lastTime + yearMs;
+    }
+    return {
+        years: count + (now - lastTime) / (nextTime - lastTime),
+        birthdayToday: count > 0 && now - lastTime < DAY_MS,
+        nextBirthday: count + 1,
+        nextBirthdayTime: nextTime,
+    };
+}
+
+
+
+export function formatDuration(seconds)
+/* Shows a duration with its two largest units, like "4 minutes 21 seconds" or "9 years 120 days". */ {
+    if (seconds == null) return "n/a";
+    const first = DURATION_UNITS.findIndex(([, size]) => seconds >= size);
+    if (first === -1) return "less than a second";
+    let left = seconds;
+    return DURATION_UNITS.slice(first, first + 2).map(([name, size]) => {
+        const count = Math.floor(left / size);
+        left -= count * size;
+        return count ? `${count.toLocaleString()} ${count === 1 ? name : `${name}s`}` : "";
+    }).filter(Boolean).join(" ");
+}
@@ -0,0 +1,86 @@
+/* This module works out physical properties of a planet that follow from the data we have about it: how strong its gravity is, how fast you would have to go to leave it, how dense it is, how fast it travels around the Sun, how many of its own days fit in its year and how much sunlight reaches it, as well as what you would weigh there and how long it takes to get there. Everything is plain math on numbers in SI units (kilograms, meters, seconds), so it needs no page. buildPhysicsData in dataStuff.mjs converts a planet's data to these units and calls the functions here, and the format* functions there show the results.
+
+Each function returns null when a value it needs is missing or not a positive number. The values in the comments are what the functions give for Earth. tests/physics.test.mjs checks them against the published values for Earth and Mars. */
+
+
+
+export const GRAVITATIONAL_CONSTANT = 6.674e-11; // m³ per kg and s²
+
+export const SOLAR_CONSTANT_W_M2 = 1361; // the sunlight reaching Earth (at 1 AU), in watts per square meter
+
+export const SPEED_OF_LIGHT_KM_S = 299792.458;
+
+const AU_M = 149597870700; // one astronomical unit in meters
+
+const DAY_S = 86400;
+
+
+
+export function getSurfaceGravity(massKg, radiusM)
+/* The acceleration of something falling at the surface (at the equator's mean radius, ignoring the planet's spin), in m/s². Earth: 9.82. */ {
+    if (!isPositive(massKg) || !isPositive(radiusM)) return null;
+    return (GRAVITATIONAL_CONSTANT * massKg) / (radiusM * radiusM);
+}
+
+
+
+export function getEscapeVelocity(massKg, radiusM)
+/* The speed needed at the surface to get away from the planet for good, without any further push, in m/s. Earth: 11,186. */ {
+    if (!isPositive(massKg) || !isPositive(radiusM)) return null;
+    return Math.sqrt((2 * GRAVITATIONAL_CONSTANT * massKg) / radiusM);
+}
+
+
+
+export function getMeanDensity(massKg, radiusM)
+/* The mass divided by the volume of a sphere with the planet's radius, in kg/m³. Earth: 5,513. */ {
+    if (!isPositive(massKg) || !isPositive(radiusM)) return null;
+    return massKg / ((4 / 3) * Math.PI * radiusM ** 3);
+}
+
+
+
+export function getOrbitalVelocity(semiMajorAxisAu, periodDays)
+/* The planet's average speed around the Sun, taking the orbit as a circle with the semi-major axis as its radius, in m/s. Earth: 29,785. */ {
+    if (!isPositive(semiMajorAxisAu) || !isPositive(periodDays)) return null;
+    return (2 * Math.PI * semiMajorAxisAu * AU_M) / (periodDays * DAY_S);
+}
+
+
+
+export function getYearInLocalDays(periodDays, solarDayHours)
+/* How many of the planet's own days (sunrise to sunrise, the solar day) fit in one of its years. Earth: 365.26. */ {
+    if (!isPositive(periodDays) || !isPositive(solarDayHours)) return null;
+    return (periodDays * 24) / solarDayHours;
+}
+
+
+
+export function getRelativeSunlight(semiMajorAxisAu)
+/* How strong sunlight is at the planet's average distance compared to at Earth's. It falls with the square of the distance. Earth: 1. Multiply by SOLAR_CONSTANT_W_M2 for watts per square meter. */ {
+    if (!isPositive(semiMajorAxisAu)) return null;
+    return 1 / (semiMajorAxisAu * semiMajorAxisAu);
+}
+
+
+
+export function getWeightOnSurface(earthWeight, surfaceGravity, earthGravity)
+/* What a scale would show for someone of the given weight on Earth at a surface with the given gravity, in the same unit as earthWeight. Both gravities should come from getSurfaceGravity on the same kind of data, so Earth gives earthWeight exactly. */ {
+    if (!isPositive(earthWeight) || !isPositive(surfaceGravity) || !isPositive(earthGravity)) return null;
+    return (earthWeight * surfaceGravity) / earthGravity;
+}
+
+
+
+export function getTravelTime(distanceKm, speedKmS)
+/* How long it takes to cover a distance at a steady speed, in seconds. Sunlight takes 499 to reach Earth (1 AU at SPEED_OF_LIGHT_KM_S). */ {
+    if (!isPositive(distanceKm) || !isPositive(speedKmS)) return null;
+    return distanceKm / speedKmS;
+}
+
+
+
+function isPositive(value)
+/* Whether value is a finite number above zero. */ {
+    return typeof value === "number" && Number.isFinite(value) && value > 0;
+}
@@ -0,0 +1,174 @@
+/* This module runs the comparison view of the planet page (planet.html?compare=earth,mars), which shows two planets side by side. For every fact the page shows about a planet (mass, radius, orbital period, distance from the Sun and temperature) it puts the two values next to each other, draws a bar for each to the same scale, and says how the second planet compares to the first ("Mars is 0.107× Earth's mass"). A dropdown above each planet swaps it for another one, and the address follows along so the comparison can be shared.
+
+The data is the same as on a planet's own page: getPlanetData from dataStuff.mjs (the Ninja Planets API, cached in local storage), falling back to what planets.json knows for bodies the API does not have, and the same format* helpers to show it, in the units chosen with the switcher above the rows (see unitPreferences.mjs). */
+
+
+
+import { buildConfigPlanetData, formatMass, formatPeriod, formatRadius, formatSemiMajorAxis, formatTemperature, getPlanetData, resolveAssetPath } from "./dataStuff.mjs";
+import { initUnitToggle } from "./unitPreferences.mjs";
+import { createStatusMessage, setText } from "./utils.mjs";
+
+
+
+const COMPARISON_FACTS = [ // heading, what the ratio sentence calls it, how to read the number off the planet data, and how to show it
+    { label: "Mass", noun: "mass", getValue: (data) => data.mass, format: (data) => formatMass(data.mass) },
+    { label: "Avg. Radius", noun: "radius", getValue: (data) => data.radius, format: (data) => formatRadius(data.radius) },
+    { label: "Orbital Period", noun: "orbital period", getValue: (data) => data.period, format: (data) => formatPeriod(data.period) },
+    { label: "Distance from the Sun", noun: "distance from the Sun", getValue: (data) => data.semi_major_axis, format: (data) => formatSemiMajorAxis(data) },
+    { label: "Avg. Surface Temperature", noun: "temperature (in kelvin)", getValue: (data) => data.temperature, format: (data) => formatTemperature(data.temperature) },
+];
+
+const DEFAULT_COMPARISON = ["earth", "mars"]; // used for whichever side the address leaves out or names a body we do not know
+
+
+
+export async function initComparison(planetsConfig, compareQuery)
+/* Shows the comparison view instead of the single planet page and fills it in.
+parameters: planetsConfig - the body configuration array from planets.json
+            compareQuery - the compare parameter of the address, two planet names separated by a comma */ {
+    const section = document.getElementById("planet-comparison");
+    const selects = [document.getElementById("compare-select-a"), document.getElementById("compare-select-b")];
+    if (!section || selects.some((select) => !select)) return;
+
+    const planets = planetsConfig.filter((body) => body.category !== "star"); // the Sun has no planet data to compare
+    const findPlanet = (name) => planets.find((planet) => planet.name.toLowerCase() === name?.trim().toLowerCase());
+    const requested = (compareQuery ?? "").split(",");
+    const chosen = [0, 1].map((side) => findPlanet(requested[side]) ?? findPlanet(DEFAULT_COMPARISON[side]) ?? planets[side] ?? planets[0]);
+
+    document.getElementById("planet-hero")?.setAttribute("hidden", "");
+    document.getElementById("planet-info-body")?.setAttribute("hidden", "");
+    section.hidden = false;
+
+    selects.forEach((select, side) => {
+        select.replaceChildren(...planets.map((planet) => new Option(planet.name, planet.name.toLowerCase())));
+        select.value = chosen[side].name.toLowerCase();
+        select.addEventListener("change", () => {
+            chosen[side] = findPlanet(select.value) ?? chosen[side];
+            updateAddress(chosen);
+            showComparison(chosen);
+        });
+    });
+    initUnitToggle(document.getElementById("comparison-unit-system"));
+    document.addEventListener("unitsystemchange", () => {
+        if (shownComparison) {
+            renderComparisonRows(shownComparison.chosen, shownComparison.data); // in place, the data is the same
+        }
+    });
+    await showComparison(chosen);
+}
+
+
+
+let comparisonRequest = 0; // counts the comparisons started, so a slow answer for an earlier pair never overwrites a later one
+
+let shownComparison = null; // { chosen, data } of the pair on screen, to show again in other units
+
+
+
+async function showComparison(chosen)
+/* Fills in the comparison for the two chosen planets: their names and images above the dropdowns, then one row per fact once both planets' data is in. */ {
+    const request = ++comparisonRequest;
+    shownComparison = null;
+    const [first, second] = chosen;
+    setText(document.getElementById("comparison-title"), `${first.name} vs ${second.name}`);
+    chosen.forEach((planet, side) => {
+        const image = document.getElementById(side === 0 ? "compare-image-a" : "compare-image-b");
+        if (image) {
+            image.src = resolveAssetPath(planet.imageSmall ?? planet.imageMed);
+            image.alt = `${planet.name} image`;
+        }
+    });
+
+    const rows = document.getElementById("comparison-rows");
+    if (!rows) return;
+    rows.replaceChildren(createStatusMessage("Loading planet data..."));
+    const data = await Promise.all(chosen.map(loadComparisonData));
+    if (request !== comparisonRequest) return; // another pair was picked while we waited
+
+    shownComparison = { chosen: [...chosen], data };
+    renderComparisonRows(shownComparison.chosen, data);
+}
+
+
+
+function renderComparisonRows(chosen, data)
+/* Puts one row per fact in the comparison, or a message when neither planet has any data. */ {
+    const rows = document.getElementById("comparison-rows");
+    if (!rows) return;
+    if (data.every((planetData) => !planetData)) {
+        rows.replaceChildren(createStatusMessage("Planet data is unavailable right now."));
+        return;
+    }
+    rows.replaceChildren(...COMPARISON_FACTS.map((fact) => createComparisonRow(fact, chosen, data.map((planetData) => planetData ?? {}))));
+}
+
+
+
+async function loadComparisonData(planetConfig)
+/* Gets a planet's data like its own page does, falling back to what planets.json knows when the Ninja Planets API has none (which is the case for most dwarf planets). Returns null if there is neither. */ {
+    try {
+        const data = await getPlanetData(planetConfig.name);
+        if (data) return data;
+    } catch (error) {
+        console.warn("Failed to load planet data for the comparison", planetConfig.name, error);
+    }
+    return buildConfigPlanetData(planetConfig);
+}
+
+
+
+function createComparisonRow(fact, planets, data)
+/* Builds the card for one fact: each planet's value with a bar drawn to the same scale as the other's, and a sentence saying how the second planet compares to the first. */ {
+    const values = data.map((planetData) => Number(fact.getValue(planetData)));
+    const hasValue = values.map((value) => Number.isFinite(value) && value > 0);
+    const largest = Math.max(...values.filter((value, side) => hasValue[side]), 0);
+
+    const card = document.createElement("div");
+    card.className = "planet-data-card comparison-row";
+    const heading = document.createElement("h2");
+    heading.className = "heading-font";
+    heading.textContent = fact.label;
+    card.appendChild(heading);
+
+    planets.forEach((planet, side) => {
+        const entry = document.createElement("p");
+        const name = document.createElement("strong");
+        name.textContent = `${planet.name}: `;
+        const value = document.createElement("span");
+        value.textContent = fact.format(data[side]);
+        entry.append(name, document.createElement("br"), value);
+
+        const bar = document.createElement("div");
+        bar.className = `comparison-bar comparison-bar--${side === 0 ? "a" : "b"}`;
+        bar.setAttribute("aria-hidden", "true"); // the values and the sentence already say what the bars show
+        if (hasValue[side]) { // a missing value gets an empty bar
+            const fill = document.createElement("div");
+            fill.className = "comparison-bar__fill";
+            fill.style.width = `${(values[side] / largest) * 100}%`;
+            bar.appendChild(fill);
+        }
+        card.append(entry, bar);
+    });
+
+    const ratio = document.createElement("p");
+    ratio.className = "comparison-row__ratio";
+    ratio.textContent = hasValue.every(Boolean) ? `${planets[1].name} is ${formatRatio(values[1] / values[0])}× ${planets[0].name}'s ${fact.noun}.` : "No ratio, one of the values is missing.";
+    card.appendChild(ratio);
+    return card;
+}
+
+
+
+function formatRatio(value)
+/* Shows a ratio with three significant digits, like 0.107 or 11.2. */ {
+    return value.toLocaleString(undefined, { maximumSignificantDigits: 3 });
+}
+
+
+
+function updateAddress(chosen)
+/* Puts the chosen pair in the address, without adding a history entry for every swap, so the comparison can be bookmarked or shared. */ {
+    const url = new URL(window.location.href);
+    url.search = `?compare=${chosen.map((planet) => encodeURIComponent(planet.name.toLowerCase())).join(",")}`; // set by hand, searchParams would write the comma as %2C
+    history.replaceState(null, "", url);
+}
@@ -3,5 +3,8 @@
 
 
 import { initPlanetPage } from "./planetPageServices.mjs";
+import { initUnitSync } from "./unitPreferences.mjs";
+
+initUnitSync(); // follow the unit system chosen in other tabs, so the planet data is shown again in the new units
 
 window.addEventListener("DOMContentLoaded", initPlanetPage); // when dom content is loaded, we initialize the planet page by calling the initPlanetPage function, which will handle fetching the planet data, updating the hero section, populating the data cards, and fetching and displaying images related to the planet from NASA's API. This ensures that all the necessary information about the planet is loaded and displayed to the user when they visit the planet detail page.
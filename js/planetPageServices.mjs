@@ -1,23 +1,46 @@
-/* This module contains services and functions specific to the planet detail page of the solar system explorer website. It includes functions for initializing the planet page, updating the hero section with planet information, populating data cards with planetary details, and fetching and displaying images related to the planet from NASA's API. The module also handles error cases and provides utility functions for managing favorites and formatting planetary data. It imports necessary functions from other modules to perform these tasks effectively. */
+/* This module contains services and functions specific to the planet detail page of the solar system explorer website, which is also the Sun's page and, with a moon in the query (planet.html?planet=earth&moon=moon), the page of that moon. It includes functions for initializing the planet page, updating the hero section with planet information, populating data cards with planetary details, and fetching and displaying images related to the planet from NASA's API. The module also handles error cases and provides utility functions for managing favorites and formatting planetary data. It imports necessary functions from other modules to perform these tasks effectively. */
 
 
 
 import { isFavoriteByKey, createStatusMessage, loadPageMutuals, setHtml, setText, toggleFavoriteByKey } from "./utils.mjs";
-import { buildNasaCaption, createFavoriteToggle, createGalleryFigure } from "./cardBuilder.mjs";
-import { buildFavoriteResource, findPlanetConfig, formatDistanceFromEarth, formatMass, formatPeriod, formatRadius, formatSemiMajorAxis, formatTemperature, getPlanetData, getPlanetImages, resolveAssetPath, selectRandomItems, toTitleCase } from "./dataStuff.mjs";
+import { buildNasaCaption, createFavoriteToggle, createGalleryFigure, createMoonCard } from "./cardBuilder.mjs";
+import { buildFavoriteResource, buildMoonData, buildMoonPageUrl, buildPhysicsData, buildStarData, findMoonConfig, findPlanetConfig, formatAge, formatDegrees, formatDensity, formatDistanceFromEarth, formatEscapeVelocity, formatGravity, formatKilometers, formatLocalDays, formatLuminosity, formatMass, formatOrbitalVelocity, formatPeriod, formatRadius, formatSemiMajorAxis, formatSunlight, formatTemperature, getPlanetData, getPlanetImages, resolveAssetPath, selectRandomItems, toTitleCase } from "./dataStuff.mjs";
+import { initPersonalCalculator } from "./personalCalculator.mjs";
+import { initComparison } from "./planetComparison.mjs";
 import { loadPlanetsConfig } from "./solarSystem.mjs";
+import { initUnitToggle } from "./unitPreferences.mjs";
 
 
 
 const RESOURCE_FAVORITES_KEY = "favoriteResources";
 
+const DATA_CONTAINER_IDS = ["planet-data-container", "star-data-container", "moon-data-container"]; // only one set of data cards is shown, see showDataCards
+
+let renderDataCards = null; // fills in the shown data cards again, so switching units (see unitPreferences.mjs) updates them in place
+
 
 
 export async function initPlanetPage()
 /* Initializes planet page with everything needed to display planet details. Calls functions to load mutual elements, fetch planet data, and populate the page with relevant information. */
 {
     await loadPageMutuals();
-    const planetQuery = new URLSearchParams(window.location.search).get("planet"); // Get the planet query parameter from the URL
+    const params = new URLSearchParams(window.location.search);
+    const planetQuery = params.get("planet"); // Get the planet query parameter from the URL
+    const moonQuery = params.get("moon"); // and the moon, if this is one of the planet's moons
+    const compareQuery = params.get("compare"); // or two planets to compare (planet.html?compare=earth,mars), see planetComparison.mjs
+
+    if (compareQuery != null) {
+        try {
+            await initComparison(await loadPlanetsConfig(), compareQuery);
+        } catch (error) {
+            console.error("Failed to load the planet comparison", error);
+            displayError("Unable to load the comparison right now.");
+        }
+        return;
+    }
+
+    initUnitToggle(document.getElementById("unit-system"));
+    document.addEventListener("unitsystemchange", () => renderDataCards?.());
     
     if (!planetQuery) { // If there is no planet query parameter, we cannot load the planet details, so we display an error message to the user and return early from the function. 
         displayError("No planet selected.");
@@ -25,11 +48,43 @@ export async function initPlanetPage()
     }
 
     try {
-        const [planetData, planetsConfig] = await Promise.all([getPlanetData(planetQuery), loadPlanetsConfig()]);
+        const planetsConfig = await loadPlanetsConfig();
+        const bodyConfig = findPlanetConfig(planetsConfig, planetQuery);
+        if (moonQuery) { // The Ninja Planets API has no moons either, so everything on a moon's page comes from planets.json.
+            const moonMatch = findMoonConfig(planetsConfig, moonQuery);
+            if (!moonMatch || moonMatch.planet !== bodyConfig) {
+                displayError("Moon not found.");
+                return;
+            }
+            updateHero(moonMatch.moon.name, moonMatch.moon);
+            updateBreadcrumb(moonMatch.planet, moonMatch.moon);
+            const moonData = buildMoonData(moonMatch.moon, moonMatch.planet);
+            renderDataCards = () => populateMoonCards(moonData);
+            renderDataCards();
+            await populateImages(moonMatch.moon.name);
+            return;
+        }
+        if (bodyConfig?.category === "star") { // The Ninja Planets API only knows planets, so looking up the Sun there would fail. Its stellar data comes from planets.json instead.
+            updateHero(bodyConfig.name, bodyConfig);
+            const starData = buildStarData(bodyConfig);
+            renderDataCards = () => populateStarCards(starData);
+            renderDataCards();
+            await populateImages(bodyConfig.name);
+            return;
+        }
 
+        const planetData = await getPlanetData(planetQuery);
         const displayName = planetData.englishName ?? planetData.name ?? toTitleCase(planetQuery); 
-        updateHero(displayName, planetsConfig, planetQuery);
-        populateDataCards(planetData);
+        updateHero(displayName, bodyConfig);
+        const physicsData = buildPhysicsData(planetData, bodyConfig);
+        renderDataCards = () => {
+            populateDataCards(planetData);
+            populatePhysicsCard(physicsData);
+        };
+        renderDataCards();
+        updateCompareLink(bodyConfig);
+        initPersonalCalculator(bodyConfig, planetData, findPlanetConfig(planetsConfig, "earth")).catch((error) => console.error("Failed to set up the personal calculator", error));
+        populateMoonList(bodyConfig);
         await populateImages(displayName);
     } catch (error) {
         console.error("Failed to load planet details", error);
@@ -40,12 +95,11 @@ export async function initPlanetPage()
 
 
 
-function updateHero(displayName, planetsConfig, planetQuery)
-/* This function updates the hero section of the planet page with the planet's name, description, and image. It takes the display name of the planet, the planets configuration data, and the original planet query as arguments. It finds the relevant planet configuration based on the query, updates the hero section with the planet's information, and sets the appropriate image for the hero section. If the planet is Saturn, it also applies a special class to style the hero section accordingly. 
+function updateHero(displayName, planetConfig)
+/* This function updates the hero section of the planet page with the planet's name, description, and image. It takes the display name of the planet and its configuration from planets.json, updates the hero section with the planet's information, and sets the appropriate image for the hero section. If the planet's image shows its rings (like Saturn's), it also applies a special class to style the hero section accordingly. The Sun and the moons use it too.
 parameters: 
     - displayName: The display name of the planet.
-    - planetsConfig: The configuration data for all planets.
-    - planetQuery: The original query parameter for the planet.
+    - planetConfig: The planet's (or Sun's, or moon's) entry in planets.json.
 */{
     const heroElements = getHeroElements();
     const heroSection = document.getElementById("planet-hero");
@@ -54,12 +108,11 @@ parameters:
     }
 
     if (heroSection) {
-        const isSaturn = displayName.toLowerCase() === "saturn";
-        heroSection.classList.toggle("planet-hero-saturn", isSaturn); // Due to saturns rings, we couldnt use the same style as the others as it assumes the image is a circle. Saturns image is wider and has rings, so we have to style it differently.
+        const hasRingedImage = Boolean(planetConfig?.rings?.inTexture);
+        heroSection.classList.toggle("planet-hero-ringed", hasRingedImage); // Due to saturns rings, we couldnt use the same style as the others as it assumes the image is a circle. Saturns image is wider and has rings, so we have to style it differently. planets.json marks images like that with rings.inTexture.
     }
 
-    const planetConfig = findPlanetConfig(planetsConfig, planetQuery);
-    setHtml(heroElements.fullDescription, planetConfig?.fullDescription ?? planetConfig?.smallDescription);
+    setHtml(heroElements.fullDescription, planetConfig?.fullDescription ?? planetConfig?.smallDescription ?? planetConfig?.description); // moons have a description instead of a smallDescription
     
     const preferredImage = resolveAssetPath(planetConfig?.imageMed ?? planetConfig?.imageSmall); // We try to use the medium image as the preferred image for the hero section, and if that's not available, we fall back to the small image.
     const fallbackImage = resolveAssetPath(
@@ -102,6 +155,105 @@ function populateDataCards(planetData)
 
 
 
+function populatePhysicsCard(physicsData)
+/* This function fills in the Physics card with the properties worked out from the planet's data by buildPhysicsData. */{
+    setText(document.getElementById("planet-surface-gravity"), formatGravity(physicsData.surfaceGravity));
+    setText(document.getElementById("planet-escape-velocity"), formatEscapeVelocity(physicsData.escapeVelocity));
+    setText(document.getElementById("planet-density"), formatDensity(physicsData.density));
+    setText(document.getElementById("planet-orbital-velocity"), formatOrbitalVelocity(physicsData.orbitalVelocity));
+    setText(document.getElementById("planet-year-length"), formatLocalDays(physicsData.yearInLocalDays));
+    setText(document.getElementById("planet-sunlight"), formatSunlight(physicsData.sunlight));
+}
+
+
+
+function populateStarCards(starData)
+/* This function shows the star data cards instead of the planet ones and fills them in. It takes the data built by buildStarData. */{
+    showDataCards("star-data-container", "Stellar Data");
+
+    setText(document.getElementById("star-mass"), formatMass(starData.mass));
+    setText(document.getElementById("star-radius"), formatRadius(starData.radius));
+    setText(document.getElementById("star-luminosity"), formatLuminosity(starData.luminosity));
+    setText(document.getElementById("star-temperature"), formatTemperature(starData.temperature));
+    setText(document.getElementById("star-spectral-class"), starData.spectralClass ?? "n/a");
+    setText(document.getElementById("star-age"), formatAge(starData.age));
+}
+
+
+
+function populateMoonCards(moonData)
+/* This function shows the moon data cards instead of the planet ones and fills them in. It takes the data built by buildMoonData. */{
+    showDataCards("moon-data-container", "Moon Data");
+
+    setText(document.getElementById("moon-mass"), formatMass(moonData.mass));
+    setText(document.getElementById("moon-radius"), formatRadius(moonData.radius));
+    setText(document.getElementById("moon-orbital-period"), formatPeriod(moonData.period));
+    setText(document.getElementById("moon-distance"), formatKilometers(moonData.distance));
+    setText(document.getElementById("moon-parent"), moonData.planet ?? "n/a");
+    setText(document.getElementById("moon-axial-tilt"), formatDegrees(moonData.axialTilt));
+}
+
+
+
+function showDataCards(containerId, heading)
+/* This function shows one set of data cards (the planet's, the star's or the moon's) and hides the others, and sets the heading above them. */{
+    DATA_CONTAINER_IDS.forEach((id) => {
+        const container = document.getElementById(id);
+        if (container) {
+            container.hidden = id !== containerId;
+        }
+    });
+    setText(document.getElementById("planet-data-heading"), heading);
+}
+
+
+
+function updateBreadcrumb(planetConfig, moonConfig)
+/* This function shows the breadcrumb on a moon's page, leading back to the solar system and to the planet the moon orbits. */{
+    const breadcrumb = document.getElementById("planet-breadcrumb");
+    const planetLink = document.getElementById("breadcrumb-planet");
+    if (!breadcrumb || !planetLink) return;
+
+    planetLink.href = `planet-pages/planet.html?planet=${encodeURIComponent(planetConfig.name.toLowerCase())}`;
+    setText(planetLink, planetConfig.name);
+    setText(document.getElementById("breadcrumb-moon"), moonConfig.name);
+    breadcrumb.hidden = false;
+}
+
+
+
+function updateCompareLink(planetConfig)
+/* This function points the "Compare" link under the data cards at a comparison of this planet with Earth (or, on Earth's page, with Mars). */{
+    const link = document.getElementById("planet-compare-link");
+    if (!link || !planetConfig) return;
+    const name = planetConfig.name.toLowerCase();
+    link.href = `planet-pages/planet.html?compare=${encodeURIComponent(name)},${name === "earth" ? "mars" : "earth"}`;
+    link.hidden = false;
+}
+
+
+
+function populateMoonList(planetConfig)
+/* This function lists a planet's moons as cards linking to their pages. The section stays hidden for planets without moons in planets.json. */{
+    const heading = document.getElementById("planet-moons-heading");
+    const section = document.getElementById("planet-moons");
+    const moons = Object.values(planetConfig?.moonsDetails ?? {});
+    if (!section || !moons.length) return;
+
+    section.replaceChildren(...moons.map((moon) => createMoonCard({
+        name: moon.name,
+        description: moon.description,
+        image: resolveAssetPath(moon.imageSmall ?? moon.imageMed),
+        href: buildMoonPageUrl(planetConfig.name, moon.name),
+    })));
+    section.hidden = false;
+    if (heading) {
+        heading.hidden = false;
+    }
+}
+
+
+
 async function populateImages(displayName)
 /* Populates gallery section with images related to a planet from NASAs API.
 parameters:
@@ -0,0 +1,169 @@
+/* This module runs the planet info panel that slides in beside the solar system when a planet is selected. Selecting a planet makes the camera follow it around its orbit (see Camera.follow in camera.mjs) instead of sending the user straight to its detail page. The panel shows the planet's short description and its Ninja Planets data, which is usually already cached in local storage. The Sun can be selected too, and shows its stellar data from planets.json instead. Moons can be selected too, in which case the panel is the moon's detail view: its description and the planet it orbits. The "Open details" button plays the fly-in and goes to the body's detail page (a moon's is on its planet's page), and closing the panel (or pressing Escape) cancels any flight and glides back to the view from before the planet was selected. */
+
+
+
+import { FOLLOW_SCALE } from "./camera.mjs";
+import { buildConfigPlanetData, buildStarData, findMoonConfig, findPlanetConfig, formatAge, formatLuminosity, formatMass, formatPeriod, formatRadius, formatSemiMajorAxis, formatTemperature, getPlanetData } from "./dataStuff.mjs";
+import { setText } from "./utils.mjs";
+
+
+
+const PANEL_FACTS = [ // label and formatter for each row of Ninja Planets data shown in the panel
+    ["Mass", (data) => formatMass(data.mass)],
+    ["Radius", (data) => formatRadius(data.radius)],
+    ["Orbital period", (data) => formatPeriod(data.period)],
+    ["Distance from the Sun", (data) => formatSemiMajorAxis(data)],
+    ["Temperature", (data) => formatTemperature(data.temperature)],
+];
+
+const STAR_FACTS = [ // the same for the Sun, whose data comes from planets.json (see buildStarData in dataStuff.mjs)
+    ["Luminosity", (data) => formatLuminosity(data.luminosity)],
+    ["Surface temperature", (data) => formatTemperature(data.temperature)],
+    ["Age", (data) => formatAge(data.age)],
+    ["Spectral class", (data) => data.spectralClass ?? "n/a"],
+];
+
+
+
+export function initPlanetPanel(camera, planets)
+/* Sets up the planet info panel for the given camera.
+parameters: camera - the Camera that follows the selected planet
+            planets - the body configuration array from planets.json (the Sun included), used for names and descriptions of the bodies and their moons
+returns: an object with select(planetName, { scale }) to select a planet, close({ restoreView }) to close the panel, and a selected getter with the selected planet's name (or null) */ {
+    const panel = document.getElementById("planet-panel");
+    const title = document.getElementById("planet-panel-title");
+    const description = panel?.querySelector(".planet-panel__description");
+    const facts = panel?.querySelector(".planet-panel__facts");
+    const detailsButton = panel?.querySelector(".planet-panel__details");
+    const closeButton = panel?.querySelector(".planet-panel__close");
+
+    let selected = null; // data-name of the selected planet
+    let returnView = null; // the camera state from before the first planet was selected, restored when the panel closes
+
+    const select = (planetName, { scale } = {}) =>
+    /* Follows the planet and fills the panel with its information. Hopping from one planet to another keeps the original view to return to. */ {
+        const name = planetName?.toLowerCase();
+        if (!name) return false;
+        const startView = camera.getState();
+        const followScale = Number.isFinite(scale) ? scale : Math.max(camera.targetScale, FOLLOW_SCALE);
+        if (!camera.follow(name, { scale: followScale })) return false;
+
+        returnView ??= startView;
+        if (selected !== name) {
+            selected = name;
+            fillPanel(name);
+        }
+        if (panel) {
+            panel.hidden = false;
+        }
+        return true;
+    };
+
+    const close = ({ restoreView = false } = {}) =>
+    /* Closes the panel and stops following. Any fly-in in progress is cancelled, and with restoreView the camera glides back to where it was before a planet was selected. */ {
+        if (selected === null && !camera.isFlying) return;
+        camera.cancelFlight();
+        camera.stopFollowing();
+        if (restoreView && returnView) {
+            camera.glideTo(returnView);
+        }
+        selected = null;
+        returnView = null;
+        if (panel) {
+            if (panel.contains(document.activeElement)) {
+                camera.container?.focus({ preventScroll: true }); // do not leave keyboard focus stranded on a hidden button
+            }
+            panel.hidden = true;
+        }
+    };
+
+    const fillPanel = async (name) =>
+    /* Writes the planet's name and description into the panel, then its facts once the Ninja Planets data is in. Moons are handed to fillMoonPanel. */ {
+        const config = findPlanetConfig(planets, name);
+        const moonMatch = config ? null : findMoonConfig(planets, name);
+        if (detailsButton) {
+            detailsButton.hidden = config?.detailPage === false; // not every dwarf planet has the data for a detail page. Moons have one on their planet's page.
+        }
+        if (moonMatch) {
+            fillMoonPanel(moonMatch);
+            return;
+        }
+
+        setText(title, config?.name ?? name);
+        setText(description, config?.smallDescription ?? "Description unavailable.");
+        if (!facts) return;
+        if (config?.category === "star") {
+            const data = buildStarData(config);
+            facts.replaceChildren(...STAR_FACTS.flatMap(([label, format]) => createFactRow(label, format(data))));
+            return;
+        }
+
+        facts.replaceChildren(createStatusRow("Loading planet data..."));
+        try {
+            const data = await getPlanetData(name);
+            if (selected !== name) return; // another planet was selected while we waited
+            facts.replaceChildren(...PANEL_FACTS.flatMap(([label, format]) => createFactRow(label, format(data ?? {}))));
+        } catch (error) {
+            if (selected !== name) return;
+            const fallback = buildConfigPlanetData(config); // the API has no data for most dwarf planets, but planets.json knows a little about them
+            if (fallback) {
+                facts.replaceChildren(...PANEL_FACTS.flatMap(([label, format]) => createFactRow(label, format(fallback))));
+                return;
+            }
+            console.error("Failed to load planet data for the info panel", error);
+            facts.replaceChildren(createStatusRow("Planet data is unavailable right now."));
+        }
+    };
+
+    const fillMoonPanel = ({ moon, planet }) =>
+    /* Writes a moon's name, description and parent planet into the panel. The Ninja Planets API has no moons, so that is all we know about them. */ {
+        setText(title, moon.name);
+        setText(description, moon.description ?? "Description unavailable.");
+        facts?.replaceChildren(...createFactRow("Orbits", planet.name));
+    };
+
+    detailsButton?.addEventListener("click", () => {
+        if (selected) {
+            camera.flyTo(selected);
+        }
+    });
+    closeButton?.addEventListener("click", () => close({ restoreView: true }));
+    document.addEventListener("unitsystemchange", () => { // the units were switched in another tab (see unitPreferences.mjs)
+        if (selected) {
+            fillPanel(selected);
+        }
+    });
+
+    ["pointerdown", "wheel"].forEach((type) => { // the panel sits on top of the map, so dragging or scrolling it should not move the camera underneath
+        panel?.addEventListener(type, (e) => e.stopPropagation());
+    });
+
+    return {
+        select,
+        close,
+        get selected() {
+            return selected;
+        },
+    };
+}
+
+
+
+function createFactRow(label, value)
+/* Creates the <dt> and <dd> pair for one planet fact. */ {
+    const term = document.createElement("dt");
+    term.textContent = label;
+    const detail = document.createElement("dd");
+    setText(detail, value);
+    return [term, detail];
+}
+
+
+
+function createStatusRow(message)
+/* Creates a single row spanning the fact list, used for loading and error messages. */ {
+    const status = document.createElement("dd");
+    status.className = "planet-panel__status";
+    status.textContent = message;
+    return status;
+}
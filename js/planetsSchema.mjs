@@ -0,0 +1,143 @@
+/* This module describes what an entry in planets.json may contain and checks the file against that description. loadPlanetsConfig (solarSystem.mjs) runs the check every time the file is loaded, so a typo in the data shows up as a clear console error naming the body and the field, instead of a planet that quietly renders in the wrong place or not at all.
+
+Each field has a rule: its type, whether it is required, for numbers the range it must fall in, and for some strings the values they may take. Bodies missing a required field can not be drawn, so they are left out; problems with optional fields are reported and the field is ignored. The Sun is an entry too, with "category": "star" and a few stellar fields of its own. Moons (moonsDetails) follow the same rules as planets, apart from using description instead of smallDescription. Everything here works on plain objects, so it can be checked without a page. */
+
+
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+const RING_SCHEMA = Object.freeze({ // one ring system, sized in planet radii from the planet's center
+    innerRadius: { type: "number", required: true, min: 1 },
+    outerRadius: { type: "number", required: true, min: 1 },
+    color: { type: "color" },
+    opacity: { type: "number", min: 0, max: 1 },
+    inTexture: { type: "boolean" }, // the planet's image already shows the rings, so they are not drawn on top
+});
+
+const BODY_SCHEMA = Object.freeze({
+    name: { type: "string", required: true },
+    category: { type: "string", oneOf: ["star", "planet", "dwarf"] }, // the star sits in the middle instead of on an orbit, and dwarf planets can be hidden with their own toggle. Anything without a category is a planet.
+    size: { type: "number", required: true, min: 0, exclusiveMin: true }, // world pixels across in the stylized layout
+    radiusKm: { type: "number", min: 0, exclusiveMin: true },
+    distance: { type: "number", required: true, min: 0 }, // world pixels from what it orbits in the stylized layout
+    semiMajorAxisAu: { type: "number", min: 0, exclusiveMin: true },
+    semiMajorAxisKm: { type: "number", min: 0, exclusiveMin: true }, // a moon's real distance from its planet, for the moon's page
+    imageSmall: { type: "string" }, // bodies without an image are drawn in their color
+    imageMed: { type: "string" },
+    orbitalPeriod: { type: "number", min: 0, exclusiveMin: true }, // days
+    eccentricity: { type: "number", min: 0, max: 1, exclusiveMax: true },
+    inclination: { type: "number", min: -180, max: 180 }, // degrees
+    argumentOfPerihelion: { type: "number", min: 0, max: 360 },
+    longitudeOfAscendingNode: { type: "number", min: 0, max: 360 },
+    rotationSpeed: { type: "number", min: 0 },
+    retrograde: { type: "boolean" }, // spins the opposite way to most planets
+    axialTilt: { type: "number", min: 0, max: 180 }, // degrees between the spin axis and the orbit's pole
+    solarDayHours: { type: "number", min: 0, exclusiveMin: true }, // hours from one sunrise to the next, for the year in local days on the planet page
+    color: { type: "color" }, // the body's overall color, for the minimap and while its image loads
+    rings: { type: "object", schema: RING_SCHEMA },
+    massKg: { type: "number", min: 0, exclusiveMin: true }, // for the star and the moons, whose data the Ninja Planets API does not have. The rest of the stellar fields are only used for the star.
+    luminosityW: { type: "number", min: 0, exclusiveMin: true },
+    surfaceTemperatureK: { type: "number", min: 0, exclusiveMin: true },
+    ageYears: { type: "number", min: 0, exclusiveMin: true },
+    spectralClass: { type: "string" },
+    detailPage: { type: "boolean" }, // false for bodies the planet page has no data for, so the info panel does not offer to open it
+    moonsDetails: { type: "bodies" },
+    smallDescription: { type: "string" },
+    fullDescription: { type: "string" },
+    description: { type: "string" },
+});
+
+
+
+export function validatePlanetsConfig(config)
+/* Checks the planets.json data against the schema.
+parameters: config - the parsed planets.json, an object with one entry per planet
+returns: { planets, problems } where planets holds the entries that can be drawn, with any malformed optional fields (and moons) removed, and problems lists a readable message for everything that was wrong */ {
+    const problems = [];
+    if (!config || typeof config !== "object" || Array.isArray(config)) {
+        problems.push("planets.json must be an object with one entry per planet");
+        return { planets: [], problems };
+    }
+    const planets = Object.entries(config)
+        .map(([key, entry]) => validateBody(entry, key, problems))
+        .filter(Boolean);
+    return { planets, problems };
+}
+
+
+
+function validateBody(entry, path, problems)
+/* Checks one planet or moon. Returns a cleaned copy of it, or null (with a problem reported) if it can not be drawn at all. */ {
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+        problems.push(`${path}: must be an object, so it was left out`);
+        return null;
+    }
+    const body = validateFields(entry, BODY_SCHEMA, path, problems);
+    if (!body) return null;
+
+    if (body.rings && body.rings.outerRadius <= body.rings.innerRadius) {
+        problems.push(`${path}.rings: outerRadius must be larger than innerRadius, so the rings were ignored`);
+        delete body.rings;
+    }
+    if (body.moonsDetails) {
+        body.moonsDetails = Object.fromEntries(Object.entries(body.moonsDetails)
+            .map(([key, moon]) => [key, validateBody(moon, `${path}.moonsDetails.${key}`, problems)])
+            .filter(([, moon]) => moon));
+    }
+    return body;
+}
+
+
+
+function validateFields(entry, schema, path, problems)
+/* Checks an object's fields against a schema. Returns a copy holding only the valid fields (unknown fields are kept as they are), or null if a required field is missing or malformed. */ {
+    const result = { ...entry };
+    let isUsable = true;
+    Object.entries(schema).forEach(([field, rule]) => {
+        const fieldPath = `${path}.${field}`;
+        if (entry[field] === undefined) {
+            if (rule.required) {
+                problems.push(`${fieldPath}: is required, so ${path} was left out`);
+                isUsable = false;
+            }
+            return;
+        }
+        const problem = checkValue(entry[field], rule);
+        if (problem) {
+            problems.push(`${fieldPath}: ${problem}, ${rule.required ? `so ${path} was left out` : "so it was ignored"}`);
+            if (rule.required) {
+                isUsable = false;
+            }
+            delete result[field];
+        } else if (rule.type === "object") {
+            result[field] = validateFields(entry[field], rule.schema, fieldPath, problems);
+            if (!result[field]) {
+                delete result[field];
+            }
+        }
+    });
+    return isUsable ? result : null;
+}
+
+
+
+function checkValue(value, rule)
+/* Returns what is wrong with a single value, or null if it follows the rule. */ {
+    switch (rule.type) {
+        case "number": {
+            if (typeof value !== "number" || !Number.isFinite(value)) return `must be a number, got ${JSON.stringify(value)}`;
+            if (rule.min !== undefined && (value < rule.min || (rule.exclusiveMin && value === rule.min))) return `must be ${rule.exclusiveMin ? "more than" : "at least"} ${rule.min}, got ${value}`;
+            if (rule.max !== undefined && (value > rule.max || (rule.exclusiveMax && value === rule.max))) return `must be ${rule.exclusiveMax ? "less than" : "at most"} ${rule.max}, got ${value}`;
+            return null;
+        }
+        case "color":
+            return typeof value === "string" && HEX_COLOR.test(value) ? null : `must be a color like "#aabbcc", got ${JSON.stringify(value)}`;
+        case "object":
+        case "bodies":
+            return value && typeof value === "object" && !Array.isArray(value) ? null : "must be an object";
+        default:
+            if (typeof value !== rule.type) return `must be a ${rule.type}, got ${JSON.stringify(value)}`;
+            if (rule.oneOf && !rule.oneOf.includes(value)) return `must be one of ${rule.oneOf.map((option) => JSON.stringify(option)).join(", ")}, got ${JSON.stringify(value)}`;
+            return null;
+    }
+}
@@ -0,0 +1,202 @@
+/* This module works out how big the planets are and how far apart they sit in each scale mode of the solar system view, and animates between modes. The hand-picked size and distance values in planets.json make a tidy picture but give the wrong idea of proportions, so the view can also be switched to:
+    - logarithmic distances: each planet's distance from the Sun grows with the logarithm of its real semi-major axis, which keeps the inner planets apart while still showing how far out the giants are
+    - true distances: distances proportional to the real semi-major axes, so the inner system becomes tiny
+    - true sizes: diameters proportional to the real radii, so Jupiter dwarfs the rocky planets
+The real values come from semiMajorAxisAu and radiusKm in planets.json. Moons keep their hand-picked distance from their planet in every mode, since at true scale they would sit inside it.
+
+Things that are not bodies, like the asteroid and Kuiper belts, are placed by their distance in AU with getAuDistance, which fits them between the planets in every mode.
+
+The ScaleLayout class holds the current mode. Switching modes eases every distance and size from where it is to its new value in the shared frame loop (frameLoop.mjs), and dispatches "change" on every frame of the way, so the orbits, the planets and the minimap can be redrawn from getDistance and getSize. */
+
+
+
+import { scheduleFrame } from "./frameLoop.mjs";
+
+
+
+export const SCALE_MODES = Object.freeze([ // the modes offered by the scale select in the viewer controls
+    Object.freeze({ id: "stylized", label: "Stylized", distances: "stylized", sizes: "stylized" }),
+    Object.freeze({ id: "logarithmic", label: "Log distances", distances: "logarithmic", sizes: "stylized" }),
+    Object.freeze({ id: "true-distances", label: "True distances", distances: "true", sizes: "stylized" }),
+    Object.freeze({ id: "true-sizes", label: "True sizes", distances: "stylized", sizes: "true" }),
+    Object.freeze({ id: "true", label: "True distances and sizes", distances: "true", sizes: "true" }),
+]);
+
+const TRUE_PIXELS_PER_AU = 30; // world pixels per astronomical unit with true distances. Neptune ends up about 900 pixels from the Sun.
+const TRUE_LARGEST_SIZE = 60; // world pixels across the largest planet with true sizes. Everything else is scaled to match.
+const MIN_BODY_SIZE = 3; // world pixels. Below this a body can not be seen or clicked, so true sizes never go smaller.
+const TRANSITION_MS = 900;
+
+
+
+export function getScaleMode(id)
+/* Returns the scale mode with the given id, or the stylized mode if there is none. */ {
+    return SCALE_MODES.find((mode) => mode.id === id) ?? SCALE_MODES[0];
+}
+
+
+
+export function getModeDistance(bodyData, mode, planets)
+/* Returns a planet's distance from the Sun (its orbit's semi-major axis) in world pixels for the given scale mode. Moons, and planets without a semiMajorAxisAu, keep their stylized distance.
+parameters: bodyData - the planet's or moon's entry from planets.json
+            mode - an entry of SCALE_MODES
+            planets - every planet's entry, used to fit logarithmic distances into the stylized range */ {
+    const stylized = Number(bodyData.distance) || 0;
+    const semiMajorAxis = Number(bodyData.semiMajorAxisAu);
+    if (!semiMajorAxis || !planets.includes(bodyData) || mode.distances === "stylized") return stylized;
+    return getAuDistance(semiMajorAxis, mode, planets);
+}
+
+
+
+export function getAuDistance(au, mode, planets)
+/* Returns how many world pixels from the Sun a distance in AU is drawn at in the given scale mode. With stylized distances there is no rule, so the distance is fitted between the planets on either side of it (on a logarithmic scale, extended past the outermost ones). */ {
+    if (mode.distances === "true") {
+        return au * TRUE_PIXELS_PER_AU;
+    }
+    const known = planets
+        .filter((planet) => Number(planet.semiMajorAxisAu) > 0)
+        .map((planet) => ({ axis: Math.log(Number(planet.semiMajorAxisAu)), distance: Number(planet.distance) || 0 }))
+        .sort((a, b) => a.axis - b.axis);
+    if (known.length < 2) return au * TRUE_PIXELS_PER_AU;
+    const axis = Math.log(au);
+    const inner = known[0];
+    const outer = known[known.length - 1];
+    if (outer.axis === inner.axis) return inner.distance;
+
+    if (mode.distances === "logarithmic") {
+        const innerDistance = Math.min(...known.map((planet) => planet.distance));
+        const outerDistance = Math.max(...known.map((planet) => planet.distance));
+        return innerDistance + ((axis - inner.axis) / (outer.axis - inner.axis)) * (outerDistance - innerDistance); // the same span as the stylized layout
+    }
+
+    let index = known.findIndex((planet) => planet.axis >= axis); // the first planet at or beyond the distance
+    if (index === -1) {
+        index = known.length - 1; // past the outermost planet: carry on along the last stretch
+    }
+    index = Math.max(1, index); // inside the innermost planet: carry on along the first stretch
+    const from = known[index - 1];
+    const to = known[index];
+    if (to.axis === from.axis) return from.distance;
+    return from.distance + ((axis - from.axis) / (to.axis - from.axis)) * (to.distance - from.distance);
+}
+
+
+
+export function getModeSize(bodyData, mode, planets)
+/* Returns a planet's or moon's diameter in world pixels for the given scale mode. Bodies without a radiusKm keep their stylized size. */ {
+    const stylized = Number(bodyData.size) || 0;
+    const radius = Number(bodyData.radiusKm);
+    if (mode.sizes !== "true" || !radius) return stylized;
+
+    const largestRadius = Math.max(...planets.map((planet) => Number(planet.radiusKm) || 0));
+    if (!largestRadius) return stylized;
+    return Math.max(MIN_BODY_SIZE, (radius / largestRadius) * TRUE_LARGEST_SIZE);
+}
+
+
+
+export class ScaleLayout extends EventTarget {
+    #planets;
+    #bodies; // every planet and moon entry
+    #mode;
+    #from = new Map(); // body -> { distance, size } when the current transition started
+    #to = new Map(); // body -> { distance, size } the transition is heading for
+    #progress = 1; // 0 to 1 through the current transition
+    #fromAuDistance = null; // au -> world pixels when the current transition started
+    #frame = (time, delta) => this.#step(delta);
+
+    constructor(planets, { mode = "stylized" } = {}) {
+        super();
+        this.#planets = planets;
+        this.#bodies = planets.flatMap((planet) => [planet, ...Object.values(planet.moonsDetails ?? {})]);
+        this.#mode = getScaleMode(mode);
+        this.#bodies.forEach((body) => this.#to.set(body, this.#getTarget(body)));
+    }
+
+    get mode() {
+        return this.#mode;
+    }
+
+    get isAnimating() {
+        return this.#progress < 1;
+    }
+
+    setMode(id, { animate = true } = {})
+    /* Switches to the scale mode with the given id. With animate every body eases to its new size and distance, otherwise it jumps there at once. */ {
+        const mode = getScaleMode(id);
+        if (mode === this.#mode) return;
+        this.#bodies.forEach((body) => this.#from.set(body, { distance: this.getDistance(body), size: this.getSize(body) }));
+        this.#fromAuDistance = this.#freezeAuDistance();
+        this.#mode = mode;
+        this.#bodies.forEach((body) => this.#to.set(body, this.#getTarget(body)));
+        this.#progress = animate ? 0 : 1;
+        if (animate) {
+            scheduleFrame(this.#frame);
+        } else {
+            this.#emitChange();
+        }
+    }
+
+    getDistance(bodyData)
+    /* The body's orbit size (semi-major axis) in world pixels right now, part of the way through any transition. */ {
+        return this.#current(bodyData, "distance", Number(bodyData.distance) || 0);
+    }
+
+    getSize(bodyData)
+    /* The body's diameter in world pixels right now, part of the way through any transition. */ {
+        return this.#current(bodyData, "size", Number(bodyData.size) || 0);
+    }
+
+    getDistanceForAu(au)
+    /* How many world pixels from the Sun a distance in AU is right now, part of the way through any transition. Used for things that are not bodies, like the belts. */ {
+        const to = getAuDistance(au, this.#mode, this.#planets);
+        if (!this.#fromAuDistance || this.#progress >= 1) return to;
+        const from = this.#fromAuDistance(au);
+        return from + (to - from) * easeInOutCubic(this.#progress);
+    }
+
+    #freezeAuDistance()
+    /* Returns getDistanceForAu as it is at this moment, for a new transition to start from. */ {
+        const mode = this.#mode;
+        const progress = this.#progress;
+        const from = this.#fromAuDistance;
+        return (au) => {
+            const to = getAuDistance(au, mode, this.#planets);
+            return !from || progress >= 1 ? to : from(au) + (to - from(au)) * easeInOutCubic(progress);
+        };
+    }
+
+    #current(bodyData, field, fallback) {
+        const to = this.#to.get(bodyData);
+        if (!to) return fallback;
+        const from = this.#from.get(bodyData);
+        if (!from || this.#progress >= 1) return to[field];
+        return from[field] + (to[field] - from[field]) * easeInOutCubic(this.#progress);
+    }
+
+    #getTarget(bodyData) {
+        return {
+            distance: getModeDistance(bodyData, this.#mode, this.#planets),
+            size: getModeSize(bodyData, this.#mode, this.#planets),
+        };
+    }
+
+    #step(delta)
+    /* One frame of a transition. Returns true to keep running until it is done. */ {
+        this.#progress = Math.min(1, this.#progress + (delta * 1000) / TRANSITION_MS);
+        this.#emitChange();
+        return this.#progress < 1;
+    }
+
+    #emitChange() {
+        this.dispatchEvent(new CustomEvent("change", { detail: { mode: this.#mode.id, isSettled: this.#progress >= 1 } }));
+    }
+}
+
+
+
+function easeInOutCubic(t)
+/* Easing curve that starts and ends gently, so switching modes feels like the system rearranging itself. */ {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
@@ -0,0 +1,118 @@
+/* This module defines the SimClock class, the shared simulation clock that every moving part of the solar system view reads its time from. The clock holds a simulated date and moves it forward (or backward) at a chosen speed, measured in simulated days per real second. It runs in the shared frame loop (frameLoop.mjs) and announces every new time with a "tick" event, so the orbits, the minimap and anything else that moves stay in step. Changes to its settings (play/pause, speed, direction) are announced with a "change" event for the time controls. */
+
+
+
+import { scheduleFrame } from "./frameLoop.mjs";
+
+
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+export const J2000_MS = Date.UTC(2000, 0, 1, 12); // 1 January 2000, 12:00 UTC. Orbital phases are measured from this moment.
+
+export const SPEED_PRESETS = Object.freeze([ // the speeds offered by the time controls
+    Object.freeze({ id: "day", label: "1 day/s", daysPerSecond: 1 }),
+    Object.freeze({ id: "month", label: "1 month/s", daysPerSecond: 365.25 / 12 }),
+    Object.freeze({ id: "year", label: "1 year/s", daysPerSecond: 365.25 }),
+]);
+
+
+
+export class SimClock extends EventTarget {
+    #time;
+    #daysPerSecond;
+    #direction = 1; // 1 runs time forward, -1 runs it backward
+    #isPlaying;
+    #frame = (time, delta) => this.#step(delta);
+
+    constructor({ time = Date.now(), daysPerSecond = SPEED_PRESETS[0].daysPerSecond, playing = true } = {}) {
+        super();
+        this.#time = time;
+        this.#daysPerSecond = daysPerSecond;
+        this.#isPlaying = false;
+        if (playing) {
+            this.play();
+        }
+    }
+
+    get time()
+    /* The simulated date in milliseconds since 1970, like Date.now(). */ {
+        return this.#time;
+    }
+
+    get daysPerSecond()
+    /* How many simulated days pass per real second, ignoring the direction. */ {
+        return this.#daysPerSecond;
+    }
+
+    get direction()
+    /* 1 while time runs forward, -1 while it runs backward. */ {
+        return this.#direction;
+    }
+
+    get isPlaying() {
+        return this.#isPlaying;
+    }
+
+    play() {
+        if (this.#isPlaying) return;
+        this.#isPlaying = true;
+        scheduleFrame(this.#frame);
+        this.#emitChange();
+    }
+
+    pause() {
+        if (!this.#isPlaying) return;
+        this.#isPlaying = false;
+        this.#emitChange();
+    }
+
+    togglePlaying() {
+        if (this.#isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    reverse()
+    /* Flips the direction time runs in. */ {
+        this.#direction = -this.#direction;
+        this.#emitChange();
+    }
+
+    setSpeed(daysPerSecond)
+    /* Sets how many simulated days pass per real second. Negative values are treated as their size; use reverse() to run backward. */ {
+        const speed = Math.abs(Number(daysPerSecond));
+        if (!Number.isFinite(speed)) return;
+        this.#daysPerSecond = speed;
+        this.#emitChange();
+    }
+
+    setTime(time)
+    /* Jumps to the given date (milliseconds since 1970, or a Date). */ {
+        const next = Number(time instanceof Date ? time.getTime() : time);
+        if (!Number.isFinite(next)) return;
+        this.#time = next;
+        this.#emitTick();
+    }
+
+    #step(delta)
+    /* Moves the simulated time on by one frame's worth. Returns true to keep running while the clock plays. */ {
+        if (!this.#isPlaying) return false;
+        if (delta) {
+            this.#time += this.#direction * this.#daysPerSecond * DAY_MS * delta;
+            this.#emitTick();
+        }
+        return true;
+    }
+
+    #emitTick() {
+        this.dispatchEvent(new CustomEvent("tick", { detail: { time: this.#time } }));
+    }
+
+    #emitChange() {
+        this.dispatchEvent(new CustomEvent("change", {
+            detail: { isPlaying: this.#isPlaying, daysPerSecond: this.#daysPerSecond, direction: this.#direction },
+        }));
+    }
+}
@@ -0,0 +1,30 @@
+/* This module defines the Moon class, which renders a moon on its own small orbit around its planet. A moon is built just like a planet (see the Planet class in solarPlanet.mjs) so it gets the same surface, spin, tilt and tooltip from its entry in planets.json, and it keeps the "planet" class so the camera, the keyboard controls and the info panel can select and follow it like any other body. The extra "moon" class lets the styles hide moons until the camera is zoomed in far enough to see them. */
+
+
+
+import { Planet } from "./solarPlanet.mjs";
+
+
+
+export class Moon extends Planet {
+    constructor(data, planetData) {
+        super(data);
+        this.planetData = planetData;
+    }
+
+    render(container)
+    /* This method renders the moon like a planet and then marks it as a moon of its planet. */ {
+        super.render(container);
+        this.element.classList.add("moon");
+        this.element.dataset.planet = this.planetData.name.toLowerCase();
+        this.element.setAttribute("aria-label", `${this.data.name}, moon of ${this.planetData.name}`);
+    }
+
+    buildTooltipContent()
+    /* This function builds the content of the tooltip for the moon. Moons have a description instead of a smallDescription, and the title says which planet the moon belongs to. */ {
+        return {
+            title: `${this.data?.name ?? "Moon"} (moon of ${this.planetData.name})`,
+            description: this.data?.description ?? "Description unavailable.",
+        };
+    }
+}
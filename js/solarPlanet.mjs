@@ -1,4 +1,8 @@
-/* This module defines the Planet class, which is responsible for creating and managing the visual representation of a planet in the solar system visualization. It handles the creation of the planet's DOM elements, applying styles and animations, and managing the tooltip that displays additional information about the planet. */
+/* This module defines the Planet class, which is responsible for creating and managing the visual representation of a planet in the solar system visualization. It handles the creation of the planet's DOM elements, applying styles and animations, and provides the title and description for the tooltip that displays additional information about the planet (the tooltip itself is shared by every body, see tooltipManager.mjs). Everything that makes one planet look different from another (retrograde spin, axial tilt, rings and color) comes from its entry in planets.json, see planetsSchema.mjs for the fields. */
+
+
+
+const RING_OPENING = 0.35; // how open drawn rings look: their height as a share of their width, as if seen from a little above the ring plane
 
 
 
@@ -6,11 +10,10 @@ export class Planet {
     constructor(data) {
         this.data = data;
         this.element = document.createElement("div");
-        this.tooltipLoaded = false;
     }
 
     render(container)
-    /* This method creates the necessary DOM elements for the planet and appends them to the given container. It sets up the planet's appearance, including its size, position, and any special features like rings or retrograde rotation. It also manages the tooltip that displays additional information about the planet when hovered or focused. */{
+    /* This method creates the necessary DOM elements for the planet and appends them to the given container. It sets up the planet's appearance, including its size, position, and any special features like rings, axial tilt or retrograde rotation. */{
         this.element.className = "planet";
         this.element.style.width = `${this.data.size}px`;
         this.element.style.height = `${this.data.size}px`;
@@ -19,72 +22,45 @@ export class Planet {
         this.element.style.transform = "translate(-50%, -50%)";
         this.element.dataset.name = this.data.name.toLowerCase();
         this.element.setAttribute("role", "button"); // Set role to "button" for accessibility, indicating that this element is interactive and can be clicked or focused.
-        this.element.setAttribute("aria-label", `Planet ${this.data.name}`);
+        this.element.tabIndex = 0; // Make the planet reachable with Tab. Enter and Space are handled by the keyboard controls in cameraController.mjs.
+        this.element.setAttribute("aria-label", `${this.data.category === "dwarf" ? "Dwarf planet" : "Planet"} ${this.data.name}`);
 
         const planetSurfaceWrapper = document.createElement("div");
         planetSurfaceWrapper.className = "planet-surface-wrapper";
 
         const planetSurface = document.createElement("div");
         planetSurface.className = "planet-surface planet-spin";
-        planetSurface.style.backgroundImage = `url(${this.data.imageSmall})`;
+        if (this.data.imageSmall) { // bodies without an image (like most dwarf planets) are simply drawn in their color
+            planetSurface.style.backgroundImage = `url(${this.data.imageSmall})`;
+        }
         planetSurface.style.animationDuration = `${this.getRotationDuration()}s`;
 
         if (this.isRetrograde()) { // Check if the planet has retrograde rotation (like Venus and Uranus) and apply the "spin-reverse" class to reverse the direction of the spin animation.
             planetSurface.classList.add("spin-reverse");
         }
-        if (this.isRinged()) { // Check if the planet has rings (like Saturn) and apply the appropriate classes to style the rings.
+        const tilt = this.getAxialTilt() ?? 0;
+        const rings = this.data.rings;
+        if (rings?.inTexture) { // The planet's image already shows its rings (like Saturn's), so the image gets room for them instead of being cropped to a circle.
             this.element.classList.add("planet--ringed");
             planetSurfaceWrapper.classList.add("planet-surface-wrapper--ringed");
             planetSurface.classList.add("planet-surface--ringed");
+        } else if (this.data.color) {
+            planetSurface.style.backgroundColor = this.data.color; // shows while the image loads
         }
 
         planetSurfaceWrapper.appendChild(planetSurface);
-        this.element.appendChild(planetSurfaceWrapper);
-
-        const planetTip = document.createElement("div"); // intro box for planets when hovered or focused
-        planetTip.className = "planet-tip";
-        document.body.appendChild(planetTip);
-        let tooltipRafId = null; // Variable to store the requestAnimationFrame ID for updating the tooltip position.
-
-        const updateTooltipPosition = () =>
-        /* This function updates the position of the tooltip based on the planet's position on the screen. It uses requestAnimationFrame to continuously update the position while the tooltip is visible. */{
-            if (!planetTip.classList.contains("is-visible")) return;
-            const rect = this.element.getBoundingClientRect();
-            const centerX = rect.left + rect.width / 2;
-            const topY = rect.top;
-            planetTip.style.left = `${centerX}px`;
-            planetTip.style.top = `${topY}px`;
-            planetTip.style.bottom = "auto";
-            planetTip.style.transform = "translate(-50%, calc(-100% - 12px))";
-            tooltipRafId = requestAnimationFrame(updateTooltipPosition); // Continuously update the tooltip position while it is visible.
-        };
-
-        const showTooltip = () =>
-        /* This function shows the tooltip when the planet is hovered or focused. It sets the content of the tooltip if it hasn't been loaded yet and starts updating its position. */{
-            planetTip.classList.add("is-visible");
-            if (!this.tooltipLoaded) {
-                planetTip.innerHTML = this.buildTooltipContent();
-                this.tooltipLoaded = true;
-            }
-            planetTip.style.position = "fixed";
-            updateTooltipPosition(); // Start updating the tooltip position when it is shown.
-        };
-
-        const hideTooltip = () =>
-        /* This function hides the tooltip when the planet is no longer hovered or focused. It stops updating the tooltip position and hides the tooltip. */{
-            planetTip.classList.remove("is-visible");
-            if (tooltipRafId) {
-                cancelAnimationFrame(tooltipRafId); // Stop updating the tooltip position when it is hidden. cancelAnimationFrame is a built-in function that cancels a scheduled animation frame request, preventing the callback function from being called.
-                tooltipRafId = null; // Reset the tooltipRafId variable to null after canceling the animation frame request.
-            }
-        };
-
-        /* Add event listeners for mouseenter, focusin, mouseleave, and focusout to show and hide the tooltip appropriately when the planet is interacted with. This ensures that the tooltip is accessible both with mouse and keyboard interactions. */
-        this.element.addEventListener("mouseenter", showTooltip);
-        this.element.addEventListener("focusin", showTooltip);
-        this.element.addEventListener("mouseleave", hideTooltip);
-        this.element.addEventListener("focusout", hideTooltip);
-
+        if (rings && !rings.inTexture) { // Drawn rings (like Uranus's and Neptune's) go half behind the planet and half in front of it, so the planet looks like it sits inside them.
+            this.element.classList.add("planet--ringed");
+            this.element.append(this.createRing(rings, tilt, "back"), planetSurfaceWrapper, this.createRing(rings, tilt, "front"));
+        } else {
+            this.element.appendChild(planetSurfaceWrapper);
+        }
+        if (this.getAxialTilt() !== null) {
+            const axis = document.createElement("div");
+            axis.className = "planet-axis";
+            axis.style.transform = `translate(-50%, -50%) rotate(${tilt}deg)`;
+            this.element.appendChild(axis);
+        }
         container.appendChild(this.element);
     }
 
@@ -95,27 +71,46 @@ export class Planet {
         return Math.max(15, 1 / rotationSpeed);
     }
 
+    createRing(rings, tilt, half)
+    /* This method creates one half ("back" or "front") of a drawn ring system. The rings are an ellipse sized in planet radii, tilted with the planet's axis so they lie around its equator. The front half is clipped to the near side of the ellipse. */ {
+        const ring = document.createElement("div");
+        ring.className = `planet-ring planet-ring--${half}`;
+        const outer = rings.outerRadius;
+        const gap = (rings.innerRadius / outer) * 100; // where the ring band starts, as a share of the outer radius
+        const color = rings.color ?? "#ffffff";
+        ring.style.width = `${outer * 100}%`;
+        ring.style.height = `${outer * 100 * RING_OPENING}%`;
+        ring.style.opacity = `${rings.opacity ?? 0.6}`;
+        ring.style.background = `radial-gradient(closest-side, transparent ${gap}%, ${color} ${gap}%, ${color} 97%, transparent 100%)`;
+        ring.style.transform = `translate(-50%, -50%) rotate(${tilt}deg)`;
+        return ring;
+    }
+
     isRetrograde()
-    /* This function checks if the planet has a retrograde rotation. It returns true for Venus and Uranus, which are known to have retrograde rotation. */
+    /* This function checks if the planet has a retrograde rotation, like Venus and Uranus. planets.json marks those with "retrograde": true. */
     {
-        const name = this.data.name.toLowerCase();
-        return name === "venus" || name === "uranus";
+        return this.data.retrograde === true;
     }
 
     isRinged()
-    /* This function checks if the planet has rings. It returns true for Saturn, which is known to have prominent rings. */
+    /* This function checks if the planet has rings, like Saturn, Uranus and Neptune. Those have a "rings" entry in planets.json. */
     {
-        return this.data.name.toLowerCase() === "saturn";
+        return Boolean(this.data.rings);
     }
 
-    buildTooltipContent() /* This function builds the content of the tooltip for the planet. It returns an HTML string with the planet's name and a short description.
-    */ {
-        const title = this.data?.name ?? "Planet"; // check if the planet's name is available in the data, and use it as the title for the tooltip. If the name is not available, it defaults to "Planet".
-        const description = this.data?.smallDescription ?? "Description unavailable.";
-        return `
-            <div class="planet-tip__title">${title}</div>
-            <div class="planet-tip__description">${description}</div>
-        `;
+    getAxialTilt()
+    /* This function returns the planet's axial tilt in degrees from planets.json, or null if it has none. */
+    {
+        const tilt = Number(this.data.axialTilt);
+        return Number.isFinite(tilt) ? tilt : null;
+    }
+
+    buildTooltipContent()
+    /* This function builds the content of the tooltip for the planet: its name as the title and a short description, as plain text. The solar system view adds the live facts below them (see getTooltipContent in solarSystem.mjs). */ {
+        return {
+            title: this.data?.name ?? "Planet", // If the name is not available, it defaults to "Planet".
+            description: this.data?.smallDescription ?? "Description unavailable.",
+        };
     }
 
 }
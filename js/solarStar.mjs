@@ -0,0 +1,46 @@
+/* This module defines the Star class, which renders the Sun in the middle of the solar system. The Sun is an entry in planets.json like any planet (with "category": "star"), and it keeps the "planet" class so the camera, the keyboard controls and the info panel can select, follow and fly to it like any other body. It does not orbit anything, so instead of riding on an orbit's carrier it sits at the center of the system, and instead of a spinning surface it shows its image with the glow around it. */
+
+
+
+import { Planet } from "./solarPlanet.mjs";
+
+
+
+export class Star extends Planet {
+    render(container)
+    /* This method creates the Sun's element in the middle of the given container (the solar system), behind everything else. */ {
+        this.element.id = "sun"; // the styles for the Sun (its glow, and shrinking it with true distances) hang off this id
+        this.element.className = "planet planet--star";
+        this.element.style.width = `${this.data.size}px`;
+        this.element.style.height = `${this.data.size}px`;
+        this.element.dataset.name = this.data.name.toLowerCase();
+        this.element.setAttribute("role", "button");
+        this.element.tabIndex = 0; // first in the Tab order, since it comes first in the DOM
+        this.element.setAttribute("aria-label", `Star ${this.data.name}`);
+
+        const picture = document.createElement("picture");
+        if (this.data.imageMed) {
+            const source = document.createElement("source");
+            source.media = "(min-width: 600px)";
+            source.srcset = this.data.imageMed;
+            source.type = "image/webp";
+            picture.appendChild(source);
+        }
+        const image = document.createElement("img");
+        image.src = this.data.imageSmall ?? this.data.imageMed ?? "";
+        image.alt = ""; // the element's aria-label already names it
+        image.draggable = false; // dragging the image would move it instead of panning the view
+        picture.appendChild(image);
+        this.element.appendChild(picture);
+
+        container.prepend(this.element);
+    }
+
+    buildTooltipContent()
+    /* This function builds the content of the tooltip for the star. It is the same as a planet's, with the spectral class next to the name. */ {
+        return {
+            title: this.data.spectralClass ? `${this.data.name} (${this.data.spectralClass} star)` : this.data.name,
+            description: this.data.smallDescription ?? "Description unavailable.",
+        };
+    }
+}
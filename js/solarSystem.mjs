@@ -1,56 +1,255 @@
-/* This module is responsible for initializing the solar system visualization on the page. It loads the planet configuration data from a JSON file, creates the necessary DOM elements for each planet and its orbit, and applies the appropriate styles and animations to create a dynamic representation of the solar system. The planets are rendered using the Planet class, which is imported from the solarPlanet.mjs module. */
+/* This module is responsible for initializing the solar system visualization on the page. It loads the planet configuration data from a JSON file, creates the necessary DOM elements for each planet and its orbit, and applies the appropriate styles and animations to create a dynamic representation of the solar system. The planets are rendered using the Planet class, which is imported from the solarPlanet.mjs module, and the Sun in the middle using the Star class from solarStar.mjs. Every body shares one tooltip (see tooltipManager.mjs), which shows live facts like its current distance from the Sun. It also creates the Camera that moves the view around and the SimClock that moves the planets along their orbits; other modules can get hold of them with getSolarCamera and getSolarClock. The dwarf planets can be hidden with their own toggle, and the asteroid and Kuiper belts are drawn behind the orbits (see belts.mjs). The same scene can also be drawn on a canvas (see canvasRenderer.mjs), with these DOM elements kept as the accessible fallback, and the bodies can be labelled with their names (see labelLayer.mjs). */
 
 
 
+import { BELTS, createBeltElement, drawBelt, generateBeltParticles } from "./belts.mjs";
+import { Camera } from "./camera.mjs";
+import { CanvasRenderer } from "./canvasRenderer.mjs";
+import { initCameraControls, initKeyboardControls } from "./cameraController.mjs";
+import { LabelLayer } from "./labelLayer.mjs";
+import { formatAuDistance, formatMass, formatTemperature, getCachedPlanetData } from "./dataStuff.mjs";
+import { getHeliocentricPosition, getMeanAnomaly, getOrbitalElements, getOrbitPoint, solveKepler } from "./ephemeris.mjs";
+import { initMinimap } from "./minimap.mjs";
+import { initPlanetPanel } from "./planetPanel.mjs";
+import { Moon } from "./solarMoon.mjs";
+import { DAY_MS, J2000_MS, SimClock } from "./simClock.mjs";
 import { Planet } from "./solarPlanet.mjs";
+import { Star } from "./solarStar.mjs";
+import { validatePlanetsConfig } from "./planetsSchema.mjs";
+import { SCALE_MODES, ScaleLayout } from "./scaleModes.mjs";
+import { initTimeControls } from "./timeControls.mjs";
+import { TooltipManager } from "./tooltipManager.mjs";
+import { initViewStateSync, parseViewHash } from "./viewState.mjs";
+
+
+
+let solarCamera = null; // The Camera for the solar system view, created in initSolarSystem.
+let solarClock = null; // The SimClock that drives the orbits, created in initSolarSystem.
+let scaleLayout = null; // The ScaleLayout with every body's size and distance in the chosen scale mode, created once the planets are loaded.
+let viewStateSync = null; // Keeps the view in the URL hash, set up once the planets are on the page.
+let planetPanel = null; // The info panel for the selected planet, set up once the planets are on the page.
+let canvasRenderer = null; // Draws the view on a canvas instead of the DOM when the renderer toggle asks for it, set up once the planets are on the page.
+let labelLayer = null; // Writes the bodies' names next to them when the label toggle asks for it, set up once the planets are on the page.
+
+const MOON_VISIBLE_SCALE = 1.5; // moons are too small to see (or click) below this zoom, so they only appear from here on
+const SYSTEM_BOUNDS_MARGIN = 40; // pixels of empty space kept around the outermost orbit when fitting the system on screen
+const ORBIT_OUTLINE_POINTS = 180; // points along each drawn orbit, enough for a smooth ellipse at any zoom
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
 
 
 
 export async function loadPlanetsConfig()
-/* This function loads the planet configuration data from the specified JSON file. It fetches the data, parses it as JSON, and returns an array of planet objects. After extensive research, I couldn't find an api that had the information I felt was also needed about the planets. I created a JSON file with that data.*/ {
+/* This function loads the planet configuration data from the specified JSON file. It fetches the data, parses it as JSON, checks it with validatePlanetsConfig and returns an array of planet objects. After extensive research, I couldn't find an api that had the information I felt was also needed about the planets. I created a JSON file with that data.*/ {
     const response = await fetch(new URL("../assets/json/planets.json", import.meta.url));
     const data = await response.json();
-    return Object.values(data); // We return the values of the data object as an array, since the JSON file is structured as an object with planet names as keys and their respective data as values. By using Object.values, we can easily get an array of planet objects that we can then use to create our solar system visualization.
+    const { planets, problems } = validatePlanetsConfig(data); // The file is checked against the schema in planetsSchema.mjs every time it loads, so a typo shows up here rather than as a planet drawn in the wrong place.
+    problems.forEach((problem) => console.error(`planets.json: ${problem}`));
+    return planets; // We return the planets as an array, since the JSON file is structured as an object with planet names as keys and their respective data as values. An array is easy to sort and loop over when we create our solar system visualization.
+}
+
+
+
+export function getSolarCamera()
+/* Returns the Camera driving the solar system view, or null if the solar system has not been initialized on this page. */ {
+    return solarCamera;
+}
+
+
+
+export function getSolarClock()
+/* Returns the SimClock driving the orbits, or null if the solar system has not been initialized on this page. */ {
+    return solarClock;
+}
+
+
+
+export function getOrbitPhase(bodyData, time)
+/* Returns how far around its orbit a planet or moon is at the given time (in milliseconds since 1970), from 0 to 1, using its real orbital period in days (orbitalPeriod in planets.json). Phases are counted from J2000, when every body starts at its perihelion. A body without a period stays put. */ {
+    const period = Number(bodyData.orbitalPeriod);
+    if (!period) return 0;
+    const orbits = (time - J2000_MS) / (period * DAY_MS);
+    return orbits - Math.floor(orbits); // keeps the phase between 0 and 1 for dates before J2000 too
+}
+
+
+
+export function getPlanetPosition(bodyData, time, distance = Number(bodyData.distance) || 0)
+/* Returns where a planet or moon is at the given time as { x, y } in world pixels measured from what it orbits, with y pointing down like the screen. The orbit's shape comes from the body's eccentricity, inclination, argumentOfPerihelion and longitudeOfAscendingNode in planets.json, scaled so its semi-major axis is the given distance (the body's stylized distance unless a scale mode says otherwise). Kepler's equation then moves the body faster near perihelion and slower far out, as real orbits do. Planets we have orbital elements for (see ephemeris.mjs) are where they really are on that date; anything else, such as the moons, moves on from perihelion at J2000. The vernal equinox is on the right of the screen and, seen from above the Sun's north pole, everything orbits counterclockwise. */ {
+    const elements = getOrbitalElements(bodyData.name);
+    const meanAnomaly = elements ? getMeanAnomaly(elements, time) : getOrbitPhase(bodyData, time) * 360;
+    const eccentricAnomaly = solveKepler(meanAnomaly * (Math.PI / 180), Number(bodyData.eccentricity) || 0);
+    return toWorldOffset(bodyData, eccentricAnomaly, distance);
+}
+
+
+
+export function getOrbitOutline(bodyData, { distance = Number(bodyData.distance) || 0, points = ORBIT_OUTLINE_POINTS } = {})
+/* Returns the points of a planet's or moon's orbit as an array of { x, y } in world pixels measured from what it orbits, the same way getPlanetPosition measures them. The Sun (or the planet, for a moon) sits at a focus of the ellipse. */ {
+    return Array.from({ length: points }, (_, index) => toWorldOffset(bodyData, (index / points) * Math.PI * 2, distance));
+}
+
+
+
+export function restoreSolarView()
+/* Puts the view back to what the URL hash describes. Used when the page comes back from the back-forward cache, which can happen in the middle of the fly-in to a planet page. */ {
+    viewStateSync?.restore();
 }
 
 
 
 export async function initSolarSystem()
 /* This function initializes the solar system visualization on the page. It loads the planet configuration data, creates the necessary DOM elements for each planet and its orbit, and applies the appropriate styles and animations to create a dynamic representation of the solar system. 
-imports: loadPlanetsConfig from ./solarSystem.mjs, Planet from ./solarPlanet.mjs
+imports: loadPlanetsConfig from ./solarSystem.mjs, BELTS, createBeltElement, drawBelt and generateBeltParticles from ./belts.mjs, ScaleLayout and SCALE_MODES from ./scaleModes.mjs, getHeliocentricPosition, getMeanAnomaly, getOrbitalElements, getOrbitPoint and solveKepler from ./ephemeris.mjs, formatAuDistance, formatMass, formatTemperature and getCachedPlanetData from ./dataStuff.mjs, Planet from ./solarPlanet.mjs, Star from ./solarStar.mjs, Moon from ./solarMoon.mjs, Camera from ./camera.mjs, CanvasRenderer from ./canvasRenderer.mjs, LabelLayer from ./labelLayer.mjs, SimClock from ./simClock.mjs, initTimeControls from ./timeControls.mjs, initCameraControls from ./cameraController.mjs, initPlanetPanel from ./planetPanel.mjs, initMinimap from ./minimap.mjs, TooltipManager from ./tooltipManager.mjs
 */ {
+    const container = document.getElementById("solsystem-container");
     const system = document.getElementById("solar-system");
+    if (!container || !system) return;
+
+    solarCamera = new Camera({ container, world: system }); // The camera is set up before the planets load so the view can be moved right away.
+    const selectPlanet = (planetName) => planetPanel?.select(planetName); // clicking or pressing Enter on a planet follows it and opens its info panel
+    initCameraControls(solarCamera, {
+        onPlanetSelect: selectPlanet,
+        hitTest: (event) => canvasRenderer?.hitTest(event) ?? null, // with the canvas renderer on, the planets are drawn on the canvas rather than being the click target themselves
+    });
+    initKeyboardControls(solarCamera, {
+        onHelp: openShortcutsDialog,
+        onPlanetSelect: selectPlanet,
+        onEscape: () => planetPanel?.close({ restoreView: true }),
+    });
+    solarClock = new SimClock({ playing: !window.matchMedia?.("(prefers-reduced-motion: reduce)").matches }); // people who asked for less motion can press Play themselves
+    initTimeControls(solarClock);
+    solarCamera.addEventListener("change", (event) => {
+        container.classList.toggle("show-moons", event.detail.scale >= MOON_VISIBLE_SCALE);
+    });
+    initShortcutsDialog();
     initFullscreenToggle();
     initOrbitToggle();
-    const planets = await loadPlanetsConfig(); // Load the planet configuration data from the JSON file. This will give us an array of planet objects with their respective data, such as name, distance from the sun, and other properties that we can use to create the visualization. This function uses the json file mentioned in the loadPlanetsConfig declaration.
+    initDwarfToggle();
+    const bodies = await loadPlanetsConfig(); // Load the planet configuration data from the JSON file. This will give us an array of planet objects with their respective data, such as name, distance from the sun, and other properties that we can use to create the visualization. This function uses the json file mentioned in the loadPlanetsConfig declaration.
+    const star = bodies.find((body) => body.category === "star"); // The Sun is in the file too, but it does not orbit anything, so it is kept apart from the planets.
+    const planets = bodies.filter((body) => body.category !== "star");
+    const sun = star ? new Star(star) : null;
+    sun?.render(system);
+
+    planets.sort((a, b) => Number(a.distance) - Number(b.distance)); // Render the planets in orbital order, from the Sun outward. Tab moves through them in DOM order, so this is also the keyboard order.
 
-    const nowSeconds = Date.now() / 1000; // Current time in seconds, used for calculating the animation delay for each planet's orbit to create a dynamic effect where the planets are at different positions in their orbits when the page loads. This is better than having them all start at the same position, which would look less natural.
+    const orbitingBodies = []; // { data, parent, path, carrier, element, body } for every planet and moon (parent is the planet a moon orbits, body is its Planet or Moon), so the clock can move them along their orbits and the scale modes can resize them
+    scaleLayout = new ScaleLayout(planets);
+
+    const belts = BELTS.map((belt) => ({ belt, ...createBeltElement(belt), particles: generateBeltParticles(belt) })); // The belts go in first, so every orbit and planet is drawn on top of them.
+    belts.forEach((belt) => system.appendChild(belt.element));
 
     planets.forEach((planetData) => {
-        const orbit = document.createElement("div");
-        orbit.className = "orbit";
-        orbit.style.width = `${planetData.distance * 2}px`;
-        orbit.style.height = `${planetData.distance * 2}px`;
-        orbit.style.top = "50%";
-        orbit.style.left = "50%";
-        orbit.style.transform = "translate(-50%, -50%)";
-
-        const orbitSpinner = document.createElement("div");
-        orbitSpinner.className = "orbit-rotation rotate";
-        const orbitDuration = Number(planetData.distance);
-        orbitSpinner.style.animationDuration = `${orbitDuration}s`;
-        if (orbitDuration) {
-            const phaseOffset = nowSeconds % orbitDuration; // Calculate the phase offset based on the current time and the orbit duration. This will give us a value between 0 and the orbit duration, which we can use to set the animation delay for the orbit rotation. By using the modulus operator, we ensure that the phase offset loops back to 0 after reaching the orbit duration, creating a continuous animation effect.
-            orbitSpinner.style.animationDelay = `-${phaseOffset}s`; // Set the animation delay to the negative of the phase offset, which will effectively start the animation at the correct position in the orbit based on the current time. This way, when the page loads, each planet will be at a different position in its orbit, creating a more dynamic and natural-looking solar system visualization.
-        }
+        const { orbit, path, carrier } = createOrbit(); // The orbit is drawn around the Sun, and the carrier is moved along it by updateOrbits whenever the simulation clock ticks, so each planet sits where it really is on the clock's date.
+        orbit.classList.toggle("orbit--dwarf", planetData.category === "dwarf"); // hidden along with its dwarf planet by the dwarf toggle
 
         const planet = new Planet(planetData);
-        planet.render(orbitSpinner); // render is a method in the Planet class that creates the necessary DOM elements for the planet and appends them to the given container (in this case, the orbitSpinner). This will create the visual representation of the planet within its orbit.
+        planet.render(carrier); // render is a method in the Planet class that creates the necessary DOM elements for the planet and appends them to the given container (in this case, the carrier). This will create the visual representation of the planet on its orbit.
+        orbitingBodies.push({ data: planetData, parent: null, path, carrier, element: planet.element, body: planet });
+
+        Object.values(planetData.moonsDetails ?? {}).forEach((moonData) => {
+            const moonSystem = createMoonSystem(moonData, planetData);
+            carrier.appendChild(moonSystem.element); // the moon system rides along with the planet's carrier, so its orbit stays centered on the planet
+            orbitingBodies.push({ data: moonData, parent: planetData, path: moonSystem.path, carrier: moonSystem.carrier, element: moonSystem.moon.element, body: moonSystem.moon });
+        });
 
-        orbit.appendChild(orbitSpinner); // Append the orbitSpinner (which contains the planet) to the orbit element. This will position the planet within its orbit and allow it to rotate around the sun based on the animation defined in the CSS for the "rotate" class.
+        system.appendChild(orbit); // Finally, append the orbit (which contains the carrier and the planet) to the main solar system container in the DOM. This will add the planet and its orbit to the overall solar system visualization on the page.
+    });
+
+    applyScaleLayout(orbitingBodies, scaleLayout);
+    drawBelts(belts, scaleLayout);
+    updateOrbits(orbitingBodies, solarClock.time, scaleLayout);
+    solarClock.addEventListener("tick", (event) => updateOrbits(orbitingBodies, event.detail.time, scaleLayout));
+    scaleLayout.addEventListener("change", (event) => {
+        applyScaleLayout(orbitingBodies, scaleLayout);
+        drawBelts(belts, scaleLayout);
+        updateOrbits(orbitingBodies, solarClock.time, scaleLayout);
+        if (event.detail.isSettled) {
+            solarCamera.setBounds(getSystemBounds(system, planets.filter(isPlanetShown), scaleLayout));
+            if (!solarCamera.followTarget) {
+                solarCamera.fit({ animate: true }); // show the whole system in its new layout. A followed planet stays in view by itself.
+            }
+        }
+    });
+    initScaleModeSelect(scaleLayout);
 
-        system.appendChild(orbit); // Finally, append the orbit (which contains the orbitSpinner and the planet) to the main solar system container in the DOM. This will add the planet and its orbit to the overall solar system visualization on the page.
+    solarCamera.setBounds(getSystemBounds(system, planets.filter(isPlanetShown), scaleLayout)); // from now on the system can not be panned off screen
+    planetPanel = initPlanetPanel(solarCamera, bodies);
+    const minimap = initMinimap(solarCamera, {
+        planets,
+        clock: solarClock,
+        layout: scaleLayout,
+        getPlanetPosition: (planetData) => getPlanetPosition(planetData, solarClock.time, scaleLayout.getDistance(planetData)),
+        getOrbitOutline: (planetData) => getOrbitOutline(planetData, { distance: scaleLayout.getDistance(planetData) }),
+        isPlanetVisible: isPlanetShown,
+        getBelts: () => BELTS.map((belt) => ({ inner: scaleLayout.getDistanceForAu(belt.innerAu), outer: scaleLayout.getDistanceForAu(belt.outerAu), color: belt.color })),
+    });
+    canvasRenderer = new CanvasRenderer(solarCamera, document.getElementById("system-canvas"), {
+        bodies: orbitingBodies,
+        star: sun ? { data: star, element: sun.element } : null,
+        belts,
+        layout: scaleLayout,
+        clock: solarClock,
+        getBodyOffset: (bodyData) => getPlanetPosition(bodyData, solarClock.time, scaleLayout.getDistance(bodyData)),
+        getOrbitOutline: (bodyData) => getOrbitOutline(bodyData, { distance: scaleLayout.getDistance(bodyData) }),
+        isPlanetVisible: isPlanetShown,
+    });
+    initRendererToggle();
+    labelLayer = new LabelLayer(solarCamera, document.getElementById("label-layer"), {
+        bodies: orbitingBodies,
+        star: sun ? { data: star, element: sun.element } : null,
+        layout: scaleLayout,
+        clock: solarClock,
+        getBodyOffset: (bodyData) => getPlanetPosition(bodyData, solarClock.time, scaleLayout.getDistance(bodyData)),
+        isPlanetVisible: isPlanetShown,
+    });
+    initLabelToggle();
+    initBodyTooltips(container, orbitingBodies, sun);
+    container.addEventListener("dwarfvisibilitychange", () => {
+        const selectedPlanet = planets.find((planet) => planet.name.toLowerCase() === planetPanel.selected);
+        if (selectedPlanet && !isPlanetShown(selectedPlanet)) {
+            planetPanel.close(); // the view can not follow a planet that is not drawn
+        }
+        const wasFitted = solarCamera.isFitted;
+        solarCamera.setBounds(getSystemBounds(system, planets.filter(isPlanetShown), scaleLayout)); // the outer dwarf planets reach well past Neptune, so hiding them shrinks the system
+        if (wasFitted && !solarCamera.followTarget) {
+            solarCamera.fit({ animate: true });
+        }
+        minimap.redraw();
+    });
+    viewStateSync = initViewStateSync(solarCamera, { // This has to wait until the planets exist, because the hash can name a planet to focus.
+        getOptions: () => ({ orbits: areOrbitsVisible(), labels: Boolean(labelLayer?.isEnabled), dwarfs: areDwarfsVisible(), canvas: Boolean(canvasRenderer?.isEnabled) }),
+        setOptions: (options) => {
+            if (typeof options.orbits === "boolean") {
+                setOrbitsVisible(options.orbits);
+            }
+            if (typeof options.labels === "boolean") {
+                setLabelsVisible(options.labels);
+            }
+            if (typeof options.dwarfs === "boolean") {
+                setDwarfsVisible(options.dwarfs);
+            }
+            if (typeof options.canvas === "boolean") {
+                setCanvasRendering(options.canvas);
+            }
+        },
+        selectPlanet: (planetName, { scale }) => {
+            if (planetName) {
+                planetPanel.select(planetName, { scale });
+            } else {
+                planetPanel.close();
+            }
+        },
     });
+
+    const linkedView = parseViewHash(window.location.hash);
+    if (!linkedView.focus && !Number.isFinite(linkedView.camera.x)) { // a link that names a view wins over the default
+        solarCamera.fit();
+    }
+    if (!solarCamera.followTarget) { // the view the 0 key goes back to. A page opened on a followed planet has none, so 0 fits the system there.
+        solarCamera.saveInitialView();
+    }
+    initViewFitting();
 }
 
 function initFullscreenToggle()
@@ -99,22 +298,376 @@ function initFullscreenToggle()
     updateState();
 }
 
+function createOrbit()
+/* Creates the elements for one orbit: an .orbit anchored on what the body orbits, holding the drawn ellipse (an SVG path, see drawOrbitPath) and the .orbit-carrier that updateOrbits moves along it. The body goes inside the carrier. */ {
+    const orbit = document.createElement("div");
+    orbit.className = "orbit";
+
+    const path = document.createElementNS(SVG_NAMESPACE, "svg");
+    path.classList.add("orbit-path");
+    path.setAttribute("aria-hidden", "true");
+    path.appendChild(document.createElementNS(SVG_NAMESPACE, "path"));
+
+    const carrier = document.createElement("div");
+    carrier.className = "orbit-carrier";
+
+    orbit.append(path, carrier);
+    return { orbit, path, carrier };
+}
+
+
+
+function drawOrbitPath(path, bodyData, distance)
+/* Draws a body's orbit into its SVG, with the orbit's semi-major axis at the given distance. The SVG is sized and placed to just hold the ellipse. */ {
+    const outline = getOrbitOutline(bodyData, { distance });
+    const left = Math.min(...outline.map((point) => point.x));
+    const top = Math.min(...outline.map((point) => point.y));
+    const width = Math.max(...outline.map((point) => point.x)) - left || 1; // an empty orbit still needs a valid viewBox
+    const height = Math.max(...outline.map((point) => point.y)) - top || 1;
+
+    path.setAttribute("viewBox", `${left} ${top} ${width} ${height}`);
+    path.style.left = `${left}px`;
+    path.style.top = `${top}px`;
+    path.style.width = `${width}px`;
+    path.style.height = `${height}px`;
+    path.firstElementChild.setAttribute("d", `M ${outline.map((point) => `${point.x.toFixed(2)} ${point.y.toFixed(2)}`).join(" L ")} Z`);
+}
+
+
+
+function createMoonSystem(moonData, planetData)
+/* Creates a moon on its own small orbit, centered on its planet. The moon's carrier is moved by updateOrbits, just like a planet's.
+returns: { element, path, carrier, moon } with the moon system element to put in the planet's carrier, the orbit's SVG and carrier, and the Moon */ {
+    const moonSystem = document.createElement("div");
+    moonSystem.className = "moon-system";
+
+    const { orbit, path, carrier } = createOrbit();
+    orbit.classList.add("moon-orbit");
+
+    const moon = new Moon(moonData, planetData);
+    moon.render(carrier);
+
+    moonSystem.appendChild(orbit);
+    return { element: moonSystem, path, carrier, moon };
+}
+
+
+
+function applyScaleLayout(orbitingBodies, layout)
+/* Redraws every orbit and resizes every body to match the scale layout, part of the way through any transition between modes. */ {
+    orbitingBodies.forEach(({ data, path, element }) => {
+        drawOrbitPath(path, data, layout.getDistance(data));
+        const size = layout.getSize(data);
+        element.style.width = `${size}px`;
+        element.style.height = `${size}px`;
+    });
+}
+
+
+
+function initBodyTooltips(container, orbitingBodies, sun)
+/* Sets up the tooltip shared by the Sun, the planets and the moons (see tooltipManager.mjs). */ {
+    const entries = new Map(orbitingBodies.map((entry) => [entry.element, entry])); // body element -> its entry, to find what to show for the element the tooltip is on
+    if (sun) {
+        entries.set(sun.element, { data: sun.data, parent: null, body: sun });
+    }
+    return new TooltipManager(container, {
+        getContent: (element) => {
+            const entry = entries.get(element);
+            return entry ? getTooltipContent(entry, solarClock.time) : null;
+        },
+        hitTest: (event) => canvasRenderer?.hitTest(event) ?? null, // taps on the canvas renderer land on the canvas, not on the body
+    });
+}
+
+
+
+function getTooltipContent({ data, parent, body }, time)
+/* Builds a body's tooltip: its own title and description, then how far it (or a moon's planet) is from the Sun on the clock's date, and the planet's mass and temperature if the Ninja Planets API has already given them to us. Nothing is fetched here, the planet panel and the home page fill the cache. */ {
+    const facts = [];
+    const distance = getSunDistance(parent ?? data, time);
+    if (distance !== null) {
+        facts.push({ label: parent ? `${parent.name} from the Sun` : "From the Sun", value: formatAuDistance(distance) });
+    }
+    const stats = parent || data.category === "star" ? null : getCachedPlanetData(data.name);
+    if (stats?.mass != null) {
+        facts.push({ label: "Mass", value: formatMass(stats.mass) });
+    }
+    if (stats?.temperature != null) {
+        facts.push({ label: "Temperature", value: formatTemperature(stats.temperature) });
+    }
+    return { ...body.buildTooltipContent(), facts };
+}
+
+
+
+function getSunDistance(bodyData, time)
+/* Returns how far a planet really is from the Sun on the given date, in AU, or null if we have no orbital elements for it (see ephemeris.mjs). The view's own distances are stylized, so they are no use here. */ {
+    const elements = getOrbitalElements(bodyData.name);
+    if (!elements) return null;
+    const { x, y, z } = getHeliocentricPosition(elements, time);
+    return Math.hypot(x, y, z);
+}
+
+
+
+function drawBelts(belts, layout)
+/* Redraws the asteroid and Kuiper belts to match the scale layout, part of the way through any transition between modes. */ {
+    belts.forEach((belt) => drawBelt(belt, belt.particles, (au) => layout.getDistanceForAu(au)));
+}
+
+
+
+function updateOrbits(orbitingBodies, time, layout)
+/* Moves every body's carrier to where the body is at the given time, on its orbit as sized by the scale layout. A moon's carrier sits inside its planet's, so its position is simply measured from the planet. */ {
+    orbitingBodies.forEach(({ carrier, data }) => {
+        const { x, y } = getPlanetPosition(data, time, layout.getDistance(data));
+        carrier.style.transform = `translate(${x}px, ${y}px)`;
+    });
+}
+
+
+
+function toWorldOffset(bodyData, eccentricAnomaly, distance)
+/* Turns a point of a body's orbit into world pixels measured from what it orbits, for an orbit whose semi-major axis is the given distance. The ecliptic's y axis points up the screen, so it is flipped. */ {
+    const point = getOrbitPoint(bodyData, eccentricAnomaly);
+    return { x: point.x * distance, y: -point.y * distance };
+}
+
+
+
+function getSystemBounds(system, planets, layout)
+/* Returns the world area the planets can be found in: the box around the Sun that just holds every given planet's orbit and the belts in the current scale layout, plus a margin. */ {
+    const sun = { x: system.offsetWidth / 2, y: system.offsetHeight / 2 };
+    const beltReach = Math.max(0, ...BELTS.map((belt) => layout.getDistanceForAu(belt.outerAu))) + SYSTEM_BOUNDS_MARGIN;
+    const bounds = { left: sun.x - beltReach, top: sun.y - beltReach, right: sun.x + beltReach, bottom: sun.y + beltReach };
+    planets.forEach((planet) => {
+        const reach = layout.getSize(planet) / 2 + SYSTEM_BOUNDS_MARGIN;
+        getOrbitOutline(planet, { distance: layout.getDistance(planet) }).forEach((point) => {
+            bounds.left = Math.min(bounds.left, sun.x + point.x - reach);
+            bounds.top = Math.min(bounds.top, sun.y + point.y - reach);
+            bounds.right = Math.max(bounds.right, sun.x + point.x + reach);
+            bounds.bottom = Math.max(bounds.bottom, sun.y + point.y + reach);
+        });
+    });
+    return bounds;
+}
+
+
+
+function initViewFitting()
+/* Sets up the Fit button and keeps the view sensible when the container changes size. A view that was fitted stays fitted on every resize. Going in or out of fullscreen and rotating a phone change the size so much that the system is fitted again even if the user had moved, unless a planet is being followed (which stays centered by itself). */ {
+    const container = document.getElementById("solsystem-container");
+    const button = document.getElementById("fit-view");
+    if (!container || !solarCamera) return;
+
+    button?.addEventListener("click", () => solarCamera.fit({ animate: true }));
+
+    let refitPending = false; // set by fullscreen and orientation changes, which are followed by a resize
+    const requestRefit = () => {
+        refitPending = !solarCamera.followTarget;
+    };
+    document.addEventListener("fullscreenchange", requestRefit);
+    window.screen?.orientation?.addEventListener?.("change", requestRefit);
+    window.addEventListener("orientationchange", requestRefit); // older Safari only has this one
+
+    if (typeof ResizeObserver !== "function") return;
+    const observer = new ResizeObserver(() => {
+        if ((solarCamera.isFitted || refitPending) && !solarCamera.isFlying) {
+            solarCamera.fit();
+        }
+        refitPending = false;
+    });
+    observer.observe(container);
+}
+
+
+
 function initOrbitToggle()
 /* This function toggles orbit line visibility in the solar system. */ {
     const container = document.getElementById("solsystem-container");
     const button = document.getElementById("orbit-toggle");
     if (!container || !button) return;
 
-    const updateState = (isVisible) => {
-        button.setAttribute("aria-pressed", isVisible ? "true" : "false");
-        button.setAttribute("aria-label", isVisible ? "Hide orbit lines" : "Show orbit lines");
-        container.classList.toggle("hide-orbits", !isVisible);
-    };
+    button.addEventListener("click", () => {
+        setOrbitsVisible(!areOrbitsVisible());
+        container.dispatchEvent(new CustomEvent("viewoptionschange")); // lets the URL hash pick up the new setting
+    });
+
+    setOrbitsVisible(true);
+}
+
+
+
+function initDwarfToggle()
+/* This function toggles the dwarf planets, and their orbits, in the solar system. */ {
+    const container = document.getElementById("solsystem-container");
+    const button = document.getElementById("dwarf-toggle");
+    if (!container || !button) return;
+
+    button.addEventListener("click", () => {
+        setDwarfsVisible(!areDwarfsVisible());
+        container.dispatchEvent(new CustomEvent("viewoptionschange")); // lets the URL hash pick up the new setting
+    });
+
+    setDwarfsVisible(true);
+}
+
+
+
+function initLabelToggle()
+/* This function toggles the names written next to the bodies. They are off to begin with, the view is busy enough without them. */ {
+    const container = document.getElementById("solsystem-container");
+    const button = document.getElementById("label-toggle");
+    if (!container || !button) return;
 
     button.addEventListener("click", () => {
-        const isVisible = !container.classList.contains("hide-orbits");
-        updateState(!isVisible);
+        setLabelsVisible(!labelLayer?.isEnabled);
+        container.dispatchEvent(new CustomEvent("viewoptionschange")); // lets the URL hash pick up the new setting
+    });
+
+    setLabelsVisible(false);
+}
+
+
+
+function initRendererToggle()
+/* This function switches between drawing the solar system with DOM elements and on a canvas. The canvas is quicker on slow devices. Browsers without a 2D canvas only get the DOM view, so the button is hidden there. */ {
+    const container = document.getElementById("solsystem-container");
+    const button = document.getElementById("renderer-toggle");
+    if (!container || !button) return;
+    if (!canvasRenderer?.isSupported) {
+        button.hidden = true;
+        return;
+    }
+
+    button.addEventListener("click", () => {
+        setCanvasRendering(!canvasRenderer.isEnabled);
+        container.dispatchEvent(new CustomEvent("viewoptionschange")); // lets the URL hash pick up the new setting
+    });
+
+    setCanvasRendering(false);
+}
+
+
+
+function initScaleModeSelect(layout)
+/* Fills the scale select (#scale-mode) with the scale modes and switches the layout when another one is picked. The Sun shrinks with true distances, or it would swallow the inner planets. */ {
+    const container = document.getElementById("solsystem-container");
+    const select = document.getElementById("scale-mode");
+    if (!container || !select) return;
+
+    select.replaceChildren(...SCALE_MODES.map((mode) => new Option(mode.label, mode.id)));
+    select.value = layout.mode.id;
+
+    select.addEventListener("change", () => {
+        layout.setMode(select.value, { animate: !window.matchMedia?.("(prefers-reduced-motion: reduce)").matches });
+        container.classList.toggle("true-distances", layout.mode.distances === "true");
+    });
+    ["pointerdown", "wheel"].forEach((type) => { // opening the select should not start a pan of the map underneath
+        select.addEventListener(type, (e) => e.stopPropagation());
     });
+}
+
+
+
+function areOrbitsVisible()
+/* Returns whether the orbit lines are currently shown. */ {
+    return !document.getElementById("solsystem-container")?.classList.contains("hide-orbits");
+}
+
+
+
+function setOrbitsVisible(isVisible)
+/* Shows or hides the orbit lines and updates the orbit toggle button to match. */ {
+    const container = document.getElementById("solsystem-container");
+    const button = document.getElementById("orbit-toggle");
+    container?.classList.toggle("hide-orbits", !isVisible);
+    button?.setAttribute("aria-pressed", isVisible ? "true" : "false");
+    button?.setAttribute("aria-label", isVisible ? "Hide orbit lines" : "Show orbit lines");
+}
+
+
+
+function areDwarfsVisible()
+/* Returns whether the dwarf planets are currently shown. */ {
+    return !document.getElementById("solsystem-container")?.classList.contains("hide-dwarfs");
+}
+
+
+
+function setDwarfsVisible(isVisible)
+/* Shows or hides the dwarf planets and updates the dwarf toggle button to match. Dispatches "dwarfvisibilitychange" on the container when that changes anything, so the view can refit the system without them. */ {
+    const container = document.getElementById("solsystem-container");
+    const button = document.getElementById("dwarf-toggle");
+    const changed = areDwarfsVisible() !== isVisible;
+    container?.classList.toggle("hide-dwarfs", !isVisible);
+    button?.setAttribute("aria-pressed", isVisible ? "true" : "false");
+    button?.setAttribute("aria-label", isVisible ? "Hide dwarf planets" : "Show dwarf planets");
+    if (changed) {
+        container?.dispatchEvent(new CustomEvent("dwarfvisibilitychange", { detail: { isVisible } }));
+    }
+}
+
+
+
+function setLabelsVisible(isVisible)
+/* Shows or hides the body labels and updates the label toggle button to match. */ {
+    const button = document.getElementById("label-toggle");
+    if (isVisible) {
+        labelLayer?.enable();
+    } else {
+        labelLayer?.disable();
+    }
+    const isOn = Boolean(labelLayer?.isEnabled);
+    button?.setAttribute("aria-pressed", isOn ? "true" : "false");
+    button?.setAttribute("aria-label", isOn ? "Hide body names" : "Show body names");
+}
+
+
+
+function setCanvasRendering(isOn)
+/* Draws the view on the canvas or with DOM elements, and updates the renderer toggle button to match. */ {
+    const button = document.getElementById("renderer-toggle");
+    if (isOn) {
+        canvasRenderer?.enable();
+    } else {
+        canvasRenderer?.disable();
+    }
+    const isCanvas = Boolean(canvasRenderer?.isEnabled);
+    button?.setAttribute("aria-pressed", isCanvas ? "true" : "false");
+    button?.setAttribute("aria-label", isCanvas ? "Draw the solar system with page elements" : "Draw the solar system on a canvas, which is faster on slow devices");
+}
+
+
+
+function isPlanetShown(planetData)
+/* Returns whether a planet is drawn in the view right now. Only the dwarf planets can be hidden. */ {
+    return planetData.category !== "dwarf" || areDwarfsVisible();
+}
+
+
+
+function initShortcutsDialog()
+/* This function wires up the "?" button in the viewer controls, which opens the keyboard shortcuts dialog. */ {
+    const button = document.getElementById("shortcuts-toggle");
+    const dialog = document.getElementById("shortcuts-dialog");
+    if (!button || !dialog) return;
+
+    button.addEventListener("click", openShortcutsDialog);
+    dialog.querySelector(".welcome-close")?.addEventListener("click", () => dialog.close());
+    dialog.addEventListener("click", (event) => {
+        if (event.target === dialog) { // a click on the backdrop
+            dialog.close();
+        }
+    });
+}
+
+
 
-    updateState(true);
+function openShortcutsDialog()
+/* Opens the keyboard shortcuts dialog. Escape closes it again, that is built into the dialog element. */ {
+    const dialog = document.getElementById("shortcuts-dialog");
+    if (!dialog || dialog.open || typeof dialog.showModal !== "function") return;
+    dialog.showModal();
 }
@@ -0,0 +1,111 @@
+/* This module connects the time controls under the solar system view to a SimClock (see simClock.mjs): play/pause, running time backward, the speed presets, a "Today" button, a date slider for scrubbing through the years and a date picker for jumping straight to a day. The controls only call the clock's API and redraw themselves from its "tick" and "change" events. */
+
+
+
+import { DAY_MS, J2000_MS, SPEED_PRESETS } from "./simClock.mjs";
+
+
+
+const SLIDER_MIN_MS = Date.UTC(1900, 0, 1); // the date slider covers 1900 to 2100. The clock itself can run past either end.
+const SLIDER_MAX_MS = Date.UTC(2100, 11, 31);
+const DATE_FORMAT = { year: "numeric", month: "short", day: "numeric", timeZone: "UTC" };
+
+
+
+export function initTimeControls(clock)
+/* Sets up the time controls (.time-controls) for the given clock. */ {
+    const controls = document.querySelector(".time-controls");
+    if (!controls) return;
+
+    const playButton = document.getElementById("time-play");
+    const reverseButton = document.getElementById("time-reverse");
+    const todayButton = document.getElementById("time-today");
+    const slider = document.getElementById("time-slider");
+    const datePicker = document.getElementById("time-date");
+    const speedButtons = [...controls.querySelectorAll("[data-speed]")];
+
+    if (slider) {
+        slider.min = String(toSliderValue(SLIDER_MIN_MS));
+        slider.max = String(toSliderValue(SLIDER_MAX_MS));
+        slider.step = "1";
+    }
+    if (datePicker) {
+        datePicker.min = toDateValue(SLIDER_MIN_MS);
+        datePicker.max = toDateValue(SLIDER_MAX_MS);
+    }
+
+    const showTime = (time) =>
+    /* Moves the slider and the date picker to the clock's time. */ {
+        const label = new Date(time).toLocaleDateString(undefined, DATE_FORMAT);
+        if (datePicker && document.activeElement !== datePicker) { // do not change the date under someone who is typing one in
+            datePicker.value = toDateValue(time);
+        }
+        if (slider) {
+            slider.value = String(Math.round(toSliderValue(time)));
+            slider.setAttribute("aria-valuetext", label);
+        }
+    };
+
+    const showSettings = () =>
+    /* Updates the buttons to match the clock's play state, direction and speed. */ {
+        if (playButton) {
+            playButton.textContent = clock.isPlaying ? "Pause" : "Play";
+            playButton.setAttribute("aria-label", clock.isPlaying ? "Pause time" : "Play time");
+        }
+        reverseButton?.setAttribute("aria-pressed", clock.direction < 0 ? "true" : "false");
+        speedButtons.forEach((button) => {
+            const preset = SPEED_PRESETS.find((candidate) => candidate.id === button.dataset.speed);
+            button.setAttribute("aria-pressed", preset?.daysPerSecond === clock.daysPerSecond ? "true" : "false");
+        });
+    };
+
+    playButton?.addEventListener("click", () => clock.togglePlaying());
+    reverseButton?.addEventListener("click", () => clock.reverse());
+    todayButton?.addEventListener("click", () => clock.setTime(Date.now()));
+    speedButtons.forEach((button) => {
+        button.addEventListener("click", () => {
+            const preset = SPEED_PRESETS.find((candidate) => candidate.id === button.dataset.speed);
+            if (preset) {
+                clock.setSpeed(preset.daysPerSecond);
+            }
+        });
+    });
+    slider?.addEventListener("input", () => clock.setTime(J2000_MS + Number(slider.value) * DAY_MS));
+    datePicker?.addEventListener("change", () => {
+        const time = fromDateValue(datePicker.value);
+        if (time !== null) {
+            clock.setTime(time);
+        }
+    });
+
+    ["pointerdown", "wheel"].forEach((type) => { // dragging the slider should not pan the map underneath
+        controls.addEventListener(type, (e) => e.stopPropagation());
+    });
+
+    clock.addEventListener("tick", (event) => showTime(event.detail.time));
+    clock.addEventListener("change", showSettings);
+    showTime(clock.time);
+    showSettings();
+}
+
+
+
+function toSliderValue(time)
+/* The slider counts days since J2000, which keeps its numbers small. */ {
+    return (time - J2000_MS) / DAY_MS;
+}
+
+
+
+function toDateValue(time)
+/* Formats a time as the yyyy-mm-dd value a date input expects, in UTC like the rest of the clock. */ {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+
+
+function fromDateValue(value)
+/* Reads a date input's yyyy-mm-dd value as noon UTC on that day, or null if it is empty or invalid. Noon keeps the date the same in every time zone. */ {
+    const time = Date.parse(`${value}T12:00:00Z`);
+    return Number.isFinite(time) ? time : null;
+}
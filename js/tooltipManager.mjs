@@ -0,0 +1,213 @@
+/* This module defines the TooltipManager class, which shows the tooltip for the bodies of the solar system view. One tooltip element is shared by the Sun, every planet and every moon: whichever body is hovered, focused or tapped gets it, and it follows that body around the screen in the shared frame loop (frameLoop.mjs) for as long as it is up. It sits above the body, or below it when there is no room above, and is kept inside the viewport at the sides.
+
+What the tooltip says comes from the getContent option, which is asked again a few times a second while the tooltip is up, so live values (like a planet's current distance from the Sun) keep up with the simulation clock. The content is plain text, a title, a description and a list of facts, and goes on the page with textContent, never as HTML.
+
+Mouse and pen show the tooltip while they hover a body, and the keyboard while a body has focus. Touch has no hover, so a tap on a body shows it, and it stays up until the next tap somewhere else. The long-press preview of the camera controls ("planetpreview") pins it the same way, and when the bodies are drawn on the canvas, the canvas renderer's "planethover" events stand in for the mouse. */
+
+
+
+import { cancelFrame, scheduleFrame } from "./frameLoop.mjs";
+
+
+
+const TOOLTIP_GAP = 12; // pixels between the body and the tooltip
+const VIEWPORT_MARGIN = 8; // pixels the tooltip keeps from the edges of the viewport
+const CONTENT_REFRESH_MS = 250; // how often the live values are rebuilt while the tooltip is up
+
+
+
+export class TooltipManager {
+    #root;
+    #options;
+    #element;
+    #anchor = null; // the body element the tooltip is showing for
+    #isPinned = false; // shown by a tap or a long-press, so it stays up until the next tap somewhere else
+    #isTouch = false; // whether the last pointer to go down was a finger
+    #contentKey = ""; // the content last put in the tooltip, so it is only rebuilt when something changed
+    #refreshedAt = -Infinity;
+    #frame = (time) => this.#update(time);
+
+    constructor(root, options = {})
+    /* Sets up the tooltip for every body inside root. Bodies are found by their "planet" class, so bodies added later get the tooltip too.
+    parameters: root - the element holding the bodies (the solar system container). The tooltip goes in it as well, so it still shows when the container is fullscreen.
+                options - an object containing:
+                    getContent(element) - returns { title, description, facts } for a body's element, where facts is an array of { label, value }, or null to show no tooltip
+                    hitTest({ clientX, clientY, target }) - optional, returns the body element drawn under the pointer, or null. Used when the bodies are drawn somewhere other than their own elements (see canvasRenderer.mjs). */ {
+        this.#root = root;
+        this.#options = options;
+        this.#element = document.createElement("div");
+        this.#element.className = "planet-tip";
+        this.#element.setAttribute("aria-hidden", "true"); // the bodies' aria-labels already name them, and the info panel reads out the rest
+        root.appendChild(this.#element);
+
+        root.addEventListener("pointerover", (event) => {
+            const body = getBody(event.target);
+            if (body && event.pointerType !== "touch" && !this.#isPinned) {
+                this.show(body);
+            }
+        });
+        root.addEventListener("pointerout", (event) => {
+            const body = getBody(event.target);
+            if (body && !body.contains(event.relatedTarget)) {
+                this.#release(body);
+            }
+        });
+        root.addEventListener("focusin", (event) => {
+            const body = getBody(event.target);
+            if (body && !this.#isPinned) {
+                this.show(body);
+            }
+        });
+        root.addEventListener("focusout", (event) => {
+            const body = getBody(event.target);
+            if (body) {
+                this.#release(body);
+            }
+        });
+        root.addEventListener("planethover", (event) => { // from the canvas renderer, which draws the bodies itself, so the mouse never reaches their elements
+            const body = getBody(event.target);
+            if (!body) return;
+            if (!event.detail?.isHovered) {
+                this.#release(body);
+            } else if (!this.#isPinned) {
+                this.show(body);
+            }
+        });
+        root.addEventListener("planetpreview", (event) => { // from the camera controls on a long-press
+            const body = getBody(event.target);
+            if (body) {
+                this.show(body, { isPinned: true });
+            }
+        });
+
+        document.addEventListener("pointerdown", (event) => {
+            this.#isTouch = event.pointerType === "touch";
+            if (this.#isPinned && !this.#anchor?.contains(event.target)) {
+                this.hide(); // a tap anywhere else puts a pinned tooltip away. A tap on another body shows it again for that one.
+            }
+        }, { capture: true });
+        root.addEventListener("click", (event) => {
+            if (!this.#isTouch) return;
+            const body = getBody(event.target) ?? this.#options.hitTest?.(event) ?? null;
+            if (body) {
+                this.show(body, { isPinned: true });
+            }
+        });
+    }
+
+    get anchor() {
+        return this.#anchor;
+    }
+
+    get isPinned() {
+        return this.#isPinned;
+    }
+
+    show(anchor, { isPinned = false } = {})
+    /* Shows the tooltip for the given body element. A pinned tooltip stays up until hide() is called or the user taps somewhere else, instead of going away when the body loses hover or focus. */ {
+        if (anchor !== this.#anchor) {
+            this.#contentKey = "";
+            this.#refreshedAt = -Infinity;
+        }
+        this.#anchor = anchor;
+        this.#isPinned = isPinned;
+        if (!this.#refresh(performance.now())) return;
+        this.#element.classList.add("is-visible");
+        this.#position();
+        scheduleFrame(this.#frame);
+    }
+
+    hide()
+    /* Hides the tooltip, pinned or not. */ {
+        this.#anchor = null;
+        this.#isPinned = false;
+        this.#element.classList.remove("is-visible");
+        cancelFrame(this.#frame);
+    }
+
+    #release(anchor)
+    /* The body lost hover or focus. The tooltip goes away with it, unless it is pinned or showing for another body. */ {
+        if (anchor === this.#anchor && !this.#isPinned) {
+            this.hide();
+        }
+    }
+
+    #update(time)
+    /* One frame while the tooltip is up: keeps it next to its body and its live values current. Returns true to keep running. */ {
+        if (!this.#anchor) return false;
+        if (!this.#anchor.isConnected || !this.#anchor.getClientRects().length) { // the body was removed or hidden (like a dwarf planet when the dwarfs are turned off)
+            this.hide();
+            return false;
+        }
+        if (time - this.#refreshedAt >= CONTENT_REFRESH_MS && !this.#refresh(time)) return false;
+        this.#position();
+        return true;
+    }
+
+    #refresh(time)
+    /* Asks for the anchor's content and puts it in the tooltip if it changed. Returns false, and hides the tooltip, if the body has none. */ {
+        this.#refreshedAt = time;
+        const content = this.#options.getContent?.(this.#anchor) ?? null;
+        if (!content) {
+            this.hide();
+            return false;
+        }
+        const key = JSON.stringify(content);
+        if (key !== this.#contentKey) {
+            this.#contentKey = key;
+            this.#element.replaceChildren(...buildContent(content));
+        }
+        return true;
+    }
+
+    #position()
+    /* Puts the tooltip above its body, or below it when it would go off the top of the viewport, and keeps it inside the viewport at the sides. */ {
+        const rect = this.#anchor.getBoundingClientRect();
+        const width = this.#element.offsetWidth;
+        const height = this.#element.offsetHeight;
+        const viewportWidth = document.documentElement.clientWidth || window.innerWidth;
+        const viewportHeight = document.documentElement.clientHeight || window.innerHeight;
+
+        const isBelow = rect.top - TOOLTIP_GAP - height < VIEWPORT_MARGIN && rect.bottom + TOOLTIP_GAP + height <= viewportHeight - VIEWPORT_MARGIN;
+        const top = isBelow ? rect.bottom + TOOLTIP_GAP : rect.top - TOOLTIP_GAP - height;
+        const center = rect.left + rect.width / 2;
+        const left = Math.min(Math.max(center - width / 2, VIEWPORT_MARGIN), Math.max(VIEWPORT_MARGIN, viewportWidth - VIEWPORT_MARGIN - width));
+
+        this.#element.classList.toggle("planet-tip--below", isBelow);
+        this.#element.style.left = `${Math.round(left)}px`;
+        this.#element.style.top = `${Math.round(top)}px`;
+        this.#element.style.setProperty("--tip-arrow-x", `${Math.round(Math.min(Math.max(center - left, 12), width - 12))}px`); // the arrow keeps pointing at the body when the tooltip is pushed sideways
+    }
+}
+
+
+
+function getBody(target)
+/* Returns the body element (the Sun, a planet or a moon) the event target is part of, or null. */ {
+    return target?.closest?.(".planet") ?? null;
+}
+
+
+
+function buildContent({ title, description, facts = [] })
+/* Builds the tooltip's elements from its content. Everything is set as text. */ {
+    const titleElement = document.createElement("div");
+    titleElement.className = "planet-tip__title";
+    titleElement.textContent = title ?? "";
+
+    const descriptionElement = document.createElement("div");
+    descriptionElement.className = "planet-tip__description";
+    descriptionElement.textContent = description ?? "";
+
+    if (!facts.length) return [titleElement, descriptionElement];
+    const list = document.createElement("dl");
+    list.className = "planet-tip__facts";
+    facts.forEach(({ label, value }) => {
+        const term = document.createElement("dt");
+        term.textContent = label;
+        const detail = document.createElement("dd");
+        detail.textContent = value;
+        list.append(term, detail);
+    });
+    return [titleElement, descriptionElement, list];
+}
@@ -0,0 +1,88 @@
+/* This module keeps the visitor's choice of units, which every format* function in dataStuff.mjs follows. There are four unit systems:
+- metric: kilograms, kilometers, days, AU and kelvin (with degrees Fahrenheit next to it, as the page has always shown temperatures), the default
+- imperial: pounds, miles, days and degrees Fahrenheit
+- scientific: SI base units (kg, m, s, K) in exponent notation
+- relative: everything measured against Earth, like 0.107 Earth masses or 1.88 Earth years
+
+The choice is stored in local storage, so it is remembered on every page and the next visit. Changing it (here, or in another tab once initUnitSync has run) fires a "unitsystemchange" event on the document, so the pages can show their numbers again in the new units. */
+
+
+
+import { getLocalStorage, setLocalStorage } from "./utils.mjs";
+
+
+
+const UNIT_SYSTEM_STORAGE_KEY = "unitSystem";
+
+export const UNIT_SYSTEMS = Object.freeze([
+    Object.freeze({ id: "metric", label: "Metric" }),
+    Object.freeze({ id: "imperial", label: "Imperial" }),
+    Object.freeze({ id: "scientific", label: "Scientific" }),
+    Object.freeze({ id: "relative", label: "Relative to Earth" }),
+]);
+
+export const DEFAULT_UNIT_SYSTEM = "metric";
+
+let unitSystem = null; // the stored choice, read once. The formatters ask for it a lot (the tooltips several times a second).
+
+
+
+export function getUnitSystem()
+/* Returns the id of the chosen unit system, one of UNIT_SYSTEMS. */ {
+    if (!unitSystem) {
+        let stored = null;
+        try {
+            stored = getLocalStorage(UNIT_SYSTEM_STORAGE_KEY);
+        } catch {
+            // a broken stored value just means the default
+        }
+        unitSystem = isUnitSystem(stored) ? stored : DEFAULT_UNIT_SYSTEM;
+    }
+    return unitSystem;
+}
+
+
+
+export function setUnitSystem(id)
+/* Chooses a unit system, remembers it and tells the page. Unknown ids are ignored.
+returns: whether the unit system changed */ {
+    if (!isUnitSystem(id) || id === getUnitSystem()) return false;
+    unitSystem = id;
+    setLocalStorage(UNIT_SYSTEM_STORAGE_KEY, id);
+    document.dispatchEvent(new CustomEvent("unitsystemchange", { detail: { unitSystem: id } }));
+    return true;
+}
+
+
+
+export function initUnitToggle(select)
+/* Turns a <select> into the unit system switcher: fills in its options, shows the current choice and keeps it in step when the choice changes elsewhere (like the other switcher on the page, or another tab). */ {
+    if (!select) return;
+    select.replaceChildren(...UNIT_SYSTEMS.map(({ id, label }) => new Option(label, id)));
+    select.value = getUnitSystem();
+    select.addEventListener("change", () => setUnitSystem(select.value));
+    document.addEventListener("unitsystemchange", () => {
+        select.value = getUnitSystem();
+    });
+}
+
+
+
+export function initUnitSync()
+/* Keeps the unit system in step with other tabs: when another tab chooses other units, this page switches too and fires "unitsystemchange". Called once by each page's entry point (main.js, planetPage.js), so the module itself can be imported without a window, by the tests for instance. */ {
+    window.addEventListener("storage", (event) => {
+        if (event.key !== UNIT_SYSTEM_STORAGE_KEY) return;
+        const previous = getUnitSystem();
+        unitSystem = null;
+        if (getUnitSystem() !== previous) {
+            document.dispatchEvent(new CustomEvent("unitsystemchange", { detail: { unitSystem: getUnitSystem() } }));
+        }
+    });
+}
+
+
+
+function isUnitSystem(id)
+/* Whether id names one of UNIT_SYSTEMS. */ {
+    return UNIT_SYSTEMS.some((system) => system.id === id);
+}
@@ -0,0 +1,154 @@
+/* This module keeps the solar system view in the URL hash, so a reload, the back button or a shared link opens the map exactly where it was left. The hash holds the camera position and zoom, the focused planet and the viewer toggles, for example:
+
+    index.html#x=-1500&y=-1500&z=1&focus=jupiter&orbits=off
+
+The camera position is measured from the center of the container (see camera.mjs), so a link shows the same part of the system on any screen size. index.html#focus=jupiter&z=2.5 on its own opens the map zoomed in on Jupiter. While the camera follows a planet around its orbit the position keeps changing, so the hash only holds the zoom and the planet then. */
+
+
+
+const HASH_WRITE_DELAY_MS = 250; // the camera changes every frame while moving, so we only write the hash once it has settled
+
+
+
+/**************************************************************************************************
+Hash parsing and building:
+These only deal with strings and plain objects, so they work (and can be tested) without a page.
+***************************************************************************************************/
+export function parseViewHash(hash)
+/* Reads a view from a URL hash. Returns { camera, focus, options } where camera is { x, y, scale } with only the values that were present, focus is a planet name or null, and options maps each on/off toggle found in the hash to true or false. Malformed values are ignored. */ {
+    const params = new URLSearchParams((hash ?? "").replace(/^#/, ""));
+    const camera = {};
+    const options = {};
+
+    [["x", "x"], ["y", "y"], ["z", "scale"]].forEach(([param, field]) => {
+        const value = Number.parseFloat(params.get(param));
+        if (Number.isFinite(value)) {
+            camera[field] = value;
+        }
+    });
+
+    params.forEach((value, key) => {
+        if (value === "on" || value === "off") {
+            options[key] = value === "on";
+        }
+    });
+
+    const focus = params.get("focus")?.trim().toLowerCase() || null;
+    return { camera, focus, options };
+}
+
+
+
+export function buildViewHash({ camera, focus, options } = {})
+/* Builds a URL hash (without the leading #) from a view. The opposite of parseViewHash. */ {
+    const params = new URLSearchParams();
+    if (Number.isFinite(camera?.x) && Number.isFinite(camera?.y)) {
+        params.set("x", Math.round(camera.x));
+        params.set("y", Math.round(camera.y));
+    }
+    if (Number.isFinite(camera?.scale)) {
+        params.set("z", Number(camera.scale.toFixed(3)));
+    }
+    if (focus) {
+        params.set("focus", focus);
+    }
+    Object.entries(options ?? {}).forEach(([key, isOn]) => {
+        params.set(key, isOn ? "on" : "off");
+    });
+    return params.toString();
+}
+
+
+
+/**************************************************************************************************
+Keeping the page and the hash in sync
+***************************************************************************************************/
+export function initViewStateSync(camera, viewOptions = {})
+/* Restores the view from the current hash and then keeps the hash up to date as the camera moves and toggles change. The hash is rewritten in place (history.replaceState), so panning around does not flood the back button with entries.
+parameters: camera - the Camera to save and restore
+            viewOptions - an object containing optional callbacks:
+                getOptions() - returns the current toggles, e.g. { orbits: true }
+                setOptions(options) - applies toggles read from the hash
+                selectPlanet(planetName, { scale }) - shows a planet the hash focuses without a position, or is called with null when the hash has no such planet. Without it the camera just centers on the planet.
+returns: an object with restore(), which re-applies the hash to the page (used when coming back to a page from the back-forward cache) */ {
+    let flightTarget = null; // the planet the camera is flying to, if any
+    let writeTimer = null;
+
+    const getFocus = () =>
+    /* The focused planet is the one being flown to, or the one being followed, or else the planet that has keyboard focus. */ {
+        return flightTarget ?? camera.followTarget ?? document.activeElement?.closest?.(".planet")?.dataset.name ?? null;
+    };
+
+    const writeHash = () =>
+    /* Writes the current view to the hash right away. */ {
+        clearTimeout(writeTimer);
+        writeTimer = null;
+        const state = camera.getState();
+        const hash = buildViewHash({
+            camera: camera.followTarget ? { scale: state.scale } : state, // a followed planet decides the position itself
+            focus: getFocus(),
+            options: viewOptions.getOptions?.(),
+        });
+        if (window.location.hash.replace(/^#/, "") !== hash) {
+            history.replaceState(history.state, "", `#${hash}`);
+        }
+    };
+
+    const scheduleWrite = () => {
+        if (writeTimer !== null && camera.followTarget) return; // following changes the camera every frame, so let the pending write happen instead of putting it off forever
+        clearTimeout(writeTimer);
+        writeTimer = setTimeout(() => {
+            if (!camera.isFlying) { // mid-flight positions are not worth keeping, the view from before the flight was written at flystart
+                writeHash();
+            }
+        }, HASH_WRITE_DELAY_MS);
+    };
+
+    const restore = () =>
+    /* Applies whatever the hash currently says. A focused planet without a camera position centers the view on that planet. */ {
+        const view = parseViewHash(window.location.hash);
+        camera.cancelFlight();
+        viewOptions.setOptions?.(view.options);
+
+        const hasPosition = Number.isFinite(view.camera.x) && Number.isFinite(view.camera.y);
+        const showsPlanet = Boolean(view.focus && !hasPosition);
+        if (showsPlanet && viewOptions.selectPlanet) {
+            viewOptions.selectPlanet(view.focus, { scale: view.camera.scale });
+            return;
+        }
+        viewOptions.selectPlanet?.(null);
+        if (showsPlanet) {
+            camera.lookAt(view.focus, { scale: view.camera.scale });
+        } else {
+            camera.setState(view.camera);
+        }
+
+        const planetEl = view.focus ? camera.world?.querySelector(`.planet[data-name="${CSS.escape(view.focus)}"]`) : null;
+        planetEl?.focus({ preventScroll: true }); // give keyboard users their place back
+    };
+
+    camera.addEventListener("change", scheduleWrite);
+
+    camera.addEventListener("flystart", (event) =>
+    /* Saves the view from just before the fly-in, with the planet as focus, so the back button brings the user back to where they clicked. */ {
+        flightTarget = event.detail.planetName;
+        writeHash();
+    });
+
+    camera.addEventListener("flyend", () => {
+        flightTarget = null;
+    });
+
+    camera.addEventListener("followstart", scheduleWrite);
+    camera.addEventListener("followend", scheduleWrite);
+
+    camera.container?.addEventListener("viewoptionschange", scheduleWrite);
+    camera.container?.addEventListener("focusin", scheduleWrite); // Tab moved to another planet
+    camera.container?.addEventListener("focusout", scheduleWrite);
+    window.addEventListener("hashchange", restore); // someone edited the hash or followed an in-page link
+
+    if (window.location.hash) {
+        restore();
+    }
+    return { restore };
+}
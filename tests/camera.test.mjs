@@ -0,0 +1,85 @@
+/* Tests for the pure camera math (js/camera.mjs): mapping between screen and world coordinates, zooming around a point, and the states that focus, clamp and glide the view. */
+
+
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { clampScale, clampToBounds, computeFocusState, interpolateState, MAX_SCALE, MIN_SCALE, screenToWorld, worldToScreen, zoomAround } from "../js/camera.mjs";
+
+
+
+const ORIGIN = { x: 1500, y: 1500 }; // the solar system world is 3000px wide and scales around its center
+
+const STATE = { x: -1320, y: -1610, scale: 1.7 };
+
+
+
+function assertPointClose(actual, expected, message)
+/* Checks that two points are the same up to rounding errors. */ {
+    assert.ok(Math.abs(actual.x - expected.x) < 1e-9 && Math.abs(actual.y - expected.y) < 1e-9, `${message}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+}
+
+
+
+test("screenToWorld and worldToScreen undo each other", () => {
+    const point = { x: 240, y: -135 };
+    assertPointClose(worldToScreen(STATE, screenToWorld(STATE, point, ORIGIN), ORIGIN), point, "screen to world to screen");
+    const world = { x: 2210, y: 870 };
+    assertPointClose(screenToWorld(STATE, worldToScreen(STATE, world, ORIGIN), ORIGIN), world, "world to screen to world");
+});
+
+
+
+test("zoomAround keeps the world point under the anchor still", () => {
+    const anchor = { x: 310, y: 95 };
+    const before = screenToWorld(STATE, anchor, ORIGIN);
+    for (const nextScale of [0.4, 1, 2.9]) {
+        const zoomed = zoomAround(STATE, nextScale, anchor, ORIGIN);
+        assert.equal(zoomed.scale, nextScale);
+        assertPointClose(screenToWorld(zoomed, anchor, ORIGIN), before, `zoomed to ${nextScale}`);
+    }
+});
+
+
+
+test("clampScale keeps the scale between MIN_SCALE and MAX_SCALE", () => {
+    assert.equal(clampScale(MIN_SCALE / 2), MIN_SCALE);
+    assert.equal(clampScale(MAX_SCALE * 2), MAX_SCALE);
+    assert.equal(clampScale(1.25), 1.25);
+    assert.equal(clampScale(MIN_SCALE), MIN_SCALE);
+    assert.equal(clampScale(MAX_SCALE), MAX_SCALE);
+});
+
+
+
+test("computeFocusState puts the world point in the middle of the screen", () => {
+    const world = { x: 1900, y: 1250 };
+    const focused = computeFocusState(world, ORIGIN, 2);
+    assert.equal(focused.scale, 2);
+    assertPointClose(worldToScreen(focused, world, ORIGIN), { x: 0, y: 0 }, "centered");
+    assertPointClose(worldToScreen(computeFocusState(world, ORIGIN, 2, 120), world, ORIGIN), { x: 0, y: -120 }, "nudged up by the vertical offset");
+});
+
+
+
+test("clampToBounds moves the view back inside the bounds without changing the scale", () => {
+    const bounds = { left: 1000, top: 1000, right: 2000, bottom: 2000 };
+    const inside = computeFocusState({ x: 1200, y: 1800 }, ORIGIN, 1.5);
+    assert.equal(clampToBounds(inside, bounds, ORIGIN), inside);
+
+    const outside = computeFocusState({ x: 2600, y: 400 }, ORIGIN, 1.5);
+    const clamped = clampToBounds(outside, bounds, ORIGIN);
+    assert.equal(clamped.scale, 1.5);
+    assertPointClose(screenToWorld(clamped, { x: 0, y: 0 }, ORIGIN), { x: 2000, y: 1000 }, "nearest point of the bounds");
+});
+
+
+
+test("interpolateState goes from one state to the other", () => {
+    const from = { x: 0, y: 100, scale: 1 };
+    const to = { x: 200, y: -100, scale: 3 };
+    assert.deepEqual(interpolateState(from, to, 0), from);
+    assert.deepEqual(interpolateState(from, to, 1), to);
+    assert.deepEqual(interpolateState(from, to, 0.5), { x: 100, y: 0, scale: 2 });
+});
@@ -0,0 +1,50 @@
+/* Tests for the format* functions of js/dataStuff.mjs in each unit system (see js/unitPreferences.mjs). They run without a window or local storage, so the unit system is the default one unless a test passes another. */
+
+
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { formatMass, formatPeriod, formatRadius, formatTemperature } from "../js/dataStuff.mjs";
+import { DEFAULT_UNIT_SYSTEM, getUnitSystem } from "../js/unitPreferences.mjs";
+
+
+
+const EARTH = Object.freeze({ mass: 0.00315, radius: 0.0911, period: 365.256 }); // in the Ninja Planets API's units: Jupiter masses, Jupiter radii and days
+
+
+
+test("without a stored choice the default unit system is used", () => {
+    assert.equal(getUnitSystem(), DEFAULT_UNIT_SYSTEM);
+    assert.equal(formatMass(EARTH.mass), formatMass(EARTH.mass, DEFAULT_UNIT_SYSTEM));
+});
+
+
+
+test("the formatters follow the unit system they are given", () => {
+    assert.equal(formatMass(EARTH.mass, "metric"), "5.98 × 10²⁴ kg");
+    assert.equal(formatMass(EARTH.mass, "imperial"), "1.32 × 10²⁵ lbs");
+    assert.equal(formatMass(EARTH.mass, "scientific"), "5.98e+24 kg");
+    assert.equal(formatMass(EARTH.mass, "relative"), "1 Earth mass");
+    assert.equal(formatRadius(EARTH.radius, "relative"), "1 Earth radius");
+    assert.equal(formatPeriod(EARTH.period, "relative"), "1 Earth year");
+});
+
+
+
+test("temperatures are shown in kelvin with Fahrenheit by default, as before there were unit systems", () => {
+    assert.equal(formatTemperature(288), "288 K or 58.7 °F");
+    assert.equal(formatTemperature(288, "metric"), "288 K or 58.7 °F");
+    assert.equal(formatTemperature(288, "imperial"), "58.7 °F");
+    assert.equal(formatTemperature(288, "scientific"), "288 K");
+    assert.equal(formatTemperature(210, "relative"), "78 K colder than Earth");
+});
+
+
+
+test("missing values show as n/a in every unit system", () => {
+    for (const unitSystem of ["metric", "imperial", "scientific", "relative"]) {
+        assert.equal(formatMass(null, unitSystem), "n/a");
+        assert.equal(formatRadius(undefined, unitSystem), "n/a");
+    }
+});
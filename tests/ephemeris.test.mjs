@@ -0,0 +1,71 @@
+/* Tests for the planet positions (js/ephemeris.mjs): Kepler's equation, and the longitudes on dates with published positions. */
+
+
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { getHeliocentricLongitude, getHeliocentricPosition, getOrbitalElements, solveKepler } from "../js/ephemeris.mjs";
+import { J2000_MS } from "../js/simClock.mjs";
+
+
+
+function angleBetween(a, b)
+/* The difference between two angles in degrees, from 0 to 180, however many turns apart they are written. */ {
+    const difference = Math.abs(a - b) % 360;
+    return Math.min(difference, 360 - difference);
+}
+
+
+
+function assertLongitude(name, time, expected, tolerance, message)
+/* Checks that a planet's heliocentric longitude on the given date is within tolerance degrees of expected. */ {
+    const longitude = getHeliocentricLongitude(getOrbitalElements(name), time);
+    assert.ok(angleBetween(longitude, expected) <= tolerance, `${message}: expected about ${expected}°, got ${longitude.toFixed(2)}°`);
+}
+
+
+
+function getGeocentricLongitude(name, time)
+/* A planet's ecliptic longitude as seen from Earth, in degrees from 0 to 360. Conjunctions are seen from Earth, so they line up in this longitude rather than in the heliocentric one. */ {
+    const planet = getHeliocentricPosition(getOrbitalElements(name), time);
+    const earth = getHeliocentricPosition(getOrbitalElements("earth"), time);
+    return (Math.atan2(planet.y - earth.y, planet.x - earth.x) * (180 / Math.PI) + 360) % 360;
+}
+
+
+
+test("solveKepler returns an E for which M = E - e sin E", () => {
+    for (const eccentricity of [0, 0.0167, 0.2056, 0.6, 0.97]) {
+        for (const meanAnomaly of [-3, -1.2, 0, 0.5, 2, 3.1, 5]) {
+            const E = solveKepler(meanAnomaly, eccentricity);
+            const difference = angleBetween((E - eccentricity * Math.sin(E)) * (180 / Math.PI), meanAnomaly * (180 / Math.PI));
+            assert.ok(difference < 1e-6, `M ${meanAnomaly}, e ${eccentricity}: off by ${difference}°`);
+        }
+    }
+});
+
+
+
+test("Earth is at a longitude of about 100.4° at J2000", () => {
+    assertLongitude("earth", J2000_MS, 100.4, 0.2, "Earth at J2000");
+});
+
+
+
+test("Earth and Mars line up at about 20.8° at the Mars opposition of 13 October 2020", () => {
+    const opposition = Date.UTC(2020, 9, 13, 23, 20);
+    assertLongitude("earth", opposition, 20.8, 0.5, "Earth");
+    assertLongitude("mars", opposition, 20.8, 0.5, "Mars");
+});
+
+
+
+test("Jupiter and Saturn are both near 300° as seen from Earth at their conjunction of 21 December 2020", () => {
+    const conjunction = Date.UTC(2020, 11, 21, 18);
+    const jupiter = getGeocentricLongitude("jupiter", conjunction);
+    const saturn = getGeocentricLongitude("saturn", conjunction);
+    assert.ok(angleBetween(jupiter, 300.3) <= 0.5, `Jupiter: expected about 300.3°, got ${jupiter.toFixed(2)}°`);
+    assert.ok(angleBetween(saturn, 300.3) <= 0.5, `Saturn: expected about 300.3°, got ${saturn.toFixed(2)}°`);
+    assert.ok(angleBetween(jupiter, saturn) < 0.2, `Jupiter and Saturn should be a tenth of a degree apart, they are ${angleBetween(jupiter, saturn).toFixed(2)}°`);
+});
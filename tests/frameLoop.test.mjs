@@ -0,0 +1,90 @@
+/* Tests for the shared animation frame loop (js/frameLoop.mjs), with requestAnimationFrame replaced by a queue the tests run by hand. */
+
+
+
+import assert from "node:assert/strict";
+import { beforeEach, test } from "node:test";
+
+import { cancelFrame, scheduleFrame } from "../js/frameLoop.mjs";
+
+
+
+let pending = []; // the callbacks requested from the stubbed requestAnimationFrame, waiting for their frame
+let now = 0;
+
+globalThis.requestAnimationFrame = (callback) => {
+    pending.push(callback);
+    return pending.length;
+};
+
+
+
+function runNextFrame()
+/* Runs the callbacks waiting for the next frame, like the browser would. */ {
+    now += 16;
+    const callbacks = pending;
+    pending = [];
+    callbacks.forEach((callback) => callback(now));
+}
+
+
+
+beforeEach(() => {
+    for (let frame = 0; pending.length && frame < 100; frame++) { // finish whatever an earlier test left running
+        runNextFrame();
+    }
+});
+
+
+
+test("a task that schedules itself while it runs leaves exactly one frame pending", () => {
+    let runs = 0;
+    const task = () => {
+        runs++;
+        if (runs < 5) {
+            scheduleFrame(task); // like Camera's change events redrawing the canvas and minimap during a glide
+        }
+        return runs < 5;
+    };
+    scheduleFrame(task);
+    assert.equal(pending.length, 1);
+
+    for (let frame = 1; frame < 5; frame++) {
+        runNextFrame();
+        assert.equal(pending.length, 1, `frame ${frame}`);
+    }
+    runNextFrame();
+    assert.equal(runs, 5);
+    assert.equal(pending.length, 0);
+});
+
+
+
+test("tasks scheduled several times before their frame run once", () => {
+    let runs = 0;
+    const task = () => {
+        runs++;
+    };
+    scheduleFrame(task);
+    scheduleFrame(task);
+    assert.equal(pending.length, 1);
+    runNextFrame();
+    assert.equal(runs, 1);
+    assert.equal(pending.length, 0);
+});
+
+
+
+test("a task returning true runs again on the next frame, and a cancelled task does not run", () => {
+    let runs = 0;
+    const task = () => ++runs < 3;
+    const cancelled = () => assert.fail("the cancelled task ran");
+    scheduleFrame(task);
+    scheduleFrame(cancelled);
+    cancelFrame(cancelled);
+    runNextFrame();
+    runNextFrame();
+    runNextFrame();
+    assert.equal(runs, 3);
+    assert.equal(pending.length, 0);
+});
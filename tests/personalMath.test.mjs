@@ -0,0 +1,111 @@
+/* Tests for the math of the "You on this planet" panel: weights and travel times (js/physics.mjs), ages, birthdays and durations (js/personalMath.mjs). */
+
+
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { formatDuration, getPlanetAge } from "../js/personalMath.mjs";
+import { getSurfaceGravity, getTravelTime, getWeightOnSurface, SPEED_OF_LIGHT_KM_S } from "../js/physics.mjs";
+
+
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MARS_YEAR_DAYS = 686.98;
+
+
+
+test("weight on Earth is exactly the weight entered, and on Mars about 0.38 of it", () => {
+    const earthGravity = getSurfaceGravity(5.979e24, 6371e3); // Earth's mass as the Ninja Planets API rounds it
+    const marsGravity = getSurfaceGravity(6.4169e23, 3389.5e3);
+    assert.equal(getWeightOnSurface(70, earthGravity, earthGravity), 70);
+    const onMars = getWeightOnSurface(70, marsGravity, earthGravity);
+    assert.ok(Math.abs(onMars / 70 - 0.378) < 0.003, `got ${onMars}`);
+    assert.equal(getWeightOnSurface(0, marsGravity, earthGravity), null);
+    assert.equal(getWeightOnSurface(70, marsGravity, null), null);
+});
+
+
+
+test("on Earth the next birthday is the calendar birthday", () => {
+    const birth = new Date(1990, 4, 15);
+    const age = getPlanetAge(birth, new Date(2026, 9, 19, 12).getTime(), 365.256, { useCalendar: true });
+    assert.equal(age.nextBirthday, 37);
+    assert.equal(age.nextBirthdayTime, new Date(2027, 4, 15).getTime());
+    assert.ok(age.years > 36 && age.years < 37, `got ${age.years}`);
+    assert.equal(age.birthdayToday, false);
+});
+
+
+
+test("on Earth a birthday later today, or earlier today, counts from midnight", () => {
+    const birth = new Date(1990, 4, 15);
+    const age = getPlanetAge(birth, new Date(2027, 4, 15, 9).getTime(), 365.256, { useCalendar: true });
+    assert.equal(age.birthdayToday, true);
+    assert.equal(age.nextBirthday, 38);
+    assert.equal(age.nextBirthdayTime, new Date(2028, 4, 15).getTime());
+
+    const dayBefore = getPlanetAge(birth, new Date(2027, 4, 14, 23).getTime(), 365.256, { useCalendar: true });
+    assert.equal(dayBefore.nextBirthday, 37);
+    assert.equal(dayBefore.nextBirthdayTime, new Date(2027, 4, 15).getTime());
+});
+
+
+
+test("on Earth a 29 February birthday falls on 1 March in other years", () => {
+    const age = getPlanetAge(new Date(2000, 1, 29), new Date(2026, 1, 20).getTime(), 365.256, { useCalendar: true });
+    assert.equal(age.nextBirthday, 26);
+    assert.equal(age.nextBirthdayTime, new Date(2026, 2, 1).getTime());
+});
+
+
+
+test("on Earth someone born exactly a year ago is 1 year old", () => {
+    const age = getPlanetAge(new Date(2025, 9, 19), new Date(2026, 9, 19).getTime(), 365.256, { useCalendar: true });
+    assert.equal(age.years, 1);
+    assert.equal(age.birthdayToday, true);
+});
+
+
+
+test("on another planet the years are orbits counted from birth", () => {
+    const birth = new Date(2000, 0, 1);
+    const now = birth.getTime() + 2.5 * MARS_YEAR_DAYS * DAY_MS;
+    const age = getPlanetAge(birth, now, MARS_YEAR_DAYS);
+    assert.ok(Math.abs(age.years - 2.5) < 1e-9, `got ${age.years}`);
+    assert.equal(age.nextBirthday, 3);
+    assert.equal(age.nextBirthdayTime, birth.getTime() + 3 * MARS_YEAR_DAYS * DAY_MS);
+    assert.equal(age.birthdayToday, false);
+
+    const justAfter = getPlanetAge(birth, birth.getTime() + 2 * MARS_YEAR_DAYS * DAY_MS + 60000, MARS_YEAR_DAYS);
+    assert.equal(justAfter.birthdayToday, true);
+    assert.equal(justAfter.nextBirthday, 3);
+});
+
+
+
+test("no age for a birthdate still to come or without a year length", () => {
+    const birth = new Date(2000, 0, 1);
+    assert.equal(getPlanetAge(birth, birth.getTime() - 1, MARS_YEAR_DAYS), null);
+    assert.equal(getPlanetAge(birth, Date.now(), null), null);
+    assert.equal(getPlanetAge(null, Date.now(), MARS_YEAR_DAYS), null);
+});
+
+
+
+test("travel times", () => {
+    const lightToMars = getTravelTime(0.52 * 149597870.7, SPEED_OF_LIGHT_KM_S); // Mars at its closest
+    assert.equal(formatDuration(lightToMars), "4 minutes 19 seconds");
+    assert.equal(formatDuration(getTravelTime(149597870.7, SPEED_OF_LIGHT_KM_S)), "8 minutes 19 seconds");
+    assert.equal(formatDuration(getTravelTime(1.5 * 149597870.7, 17)), "152 days 18 hours");
+});
+
+
+
+test("durations show their two largest units", () => {
+    assert.equal(formatDuration(0.5), "less than a second");
+    assert.equal(formatDuration(1), "1 second");
+    assert.equal(formatDuration(3600), "1 hour");
+    assert.equal(formatDuration(3 * 86400 + 4 * 3600 + 59), "3 days 4 hours");
+    assert.equal(formatDuration(null), "n/a");
+});
@@ -0,0 +1,81 @@
+/* Tests for the physics formulas (js/physics.mjs), checked against the published values for Earth and Mars (NASA planetary fact sheets). */
+
+
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { getEscapeVelocity, getMeanDensity, getOrbitalVelocity, getRelativeSunlight, getSurfaceGravity, getTravelTime, getYearInLocalDays, SPEED_OF_LIGHT_KM_S } from "../js/physics.mjs";
+
+
+
+const EARTH = { massKg: 5.9722e24, radiusM: 6371e3, semiMajorAxisAu: 1, periodDays: 365.256, solarDayHours: 24 };
+const MARS = { massKg: 6.4169e23, radiusM: 3389.5e3, semiMajorAxisAu: 1.5237, periodDays: 686.98, solarDayHours: 24.6597 };
+
+
+
+function assertClose(actual, expected, tolerance, message)
+/* Checks that actual is within tolerance (a fraction of expected, 0.01 is 1%) of expected. */ {
+    assert.ok(Math.abs(actual - expected) <= Math.abs(expected) * tolerance, `${message}: expected about ${expected}, got ${actual}`);
+}
+
+
+
+test("surface gravity", () => {
+    assertClose(getSurfaceGravity(EARTH.massKg, EARTH.radiusM), 9.8, 0.01, "Earth");
+    assertClose(getSurfaceGravity(MARS.massKg, MARS.radiusM), 3.7, 0.01, "Mars");
+});
+
+
+
+test("escape velocity", () => {
+    assertClose(getEscapeVelocity(EARTH.massKg, EARTH.radiusM) / 1000, 11.19, 0.005, "Earth");
+    assertClose(getEscapeVelocity(MARS.massKg, MARS.radiusM) / 1000, 5.03, 0.005, "Mars");
+});
+
+
+
+test("mean density", () => {
+    assertClose(getMeanDensity(EARTH.massKg, EARTH.radiusM), 5514, 0.005, "Earth");
+    assertClose(getMeanDensity(MARS.massKg, MARS.radiusM), 3934, 0.005, "Mars");
+});
+
+
+
+test("orbital velocity", () => {
+    assertClose(getOrbitalVelocity(EARTH.semiMajorAxisAu, EARTH.periodDays) / 1000, 29.8, 0.005, "Earth");
+    assertClose(getOrbitalVelocity(MARS.semiMajorAxisAu, MARS.periodDays) / 1000, 24.1, 0.005, "Mars");
+});
+
+
+
+test("year in local days", () => {
+    assertClose(getYearInLocalDays(EARTH.periodDays, EARTH.solarDayHours), 365.26, 0.001, "Earth");
+    assertClose(getYearInLocalDays(MARS.periodDays, MARS.solarDayHours), 668.6, 0.001, "Mars (sols)");
+});
+
+
+
+test("sunlight relative to Earth", () => {
+    assert.equal(getRelativeSunlight(EARTH.semiMajorAxisAu), 1);
+    assertClose(getRelativeSunlight(MARS.semiMajorAxisAu), 0.43, 0.01, "Mars");
+});
+
+
+
+test("travel time", () => {
+    assertClose(getTravelTime(149597870.7, SPEED_OF_LIGHT_KM_S), 499, 0.001, "sunlight to Earth");
+    assert.equal(getTravelTime(1000, 10), 100);
+});
+
+
+
+test("missing or impossible values give null", () => {
+    assert.equal(getSurfaceGravity(null, EARTH.radiusM), null);
+    assert.equal(getEscapeVelocity(EARTH.massKg, 0), null);
+    assert.equal(getMeanDensity(Number.NaN, EARTH.radiusM), null);
+    assert.equal(getOrbitalVelocity(1, -1), null);
+    assert.equal(getYearInLocalDays(365, undefined), null);
+    assert.equal(getRelativeSunlight(0), null);
+    assert.equal(getTravelTime(1000, 0), null);
+});
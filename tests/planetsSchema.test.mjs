@@ -0,0 +1,80 @@
+/* Tests for the planets.json check (js/planetsSchema.mjs): what happens to bodies, fields, rings and moons that break the rules, and that the shipped file follows them. */
+
+
+
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { test } from "node:test";
+
+import { validatePlanetsConfig } from "../js/planetsSchema.mjs";
+
+
+
+const MARS = Object.freeze({ name: "Mars", size: 28, distance: 520, orbitalPeriod: 686.98 });
+
+
+
+test("a body missing a required field is left out", () => {
+    const { planets, problems } = validatePlanetsConfig({ Mars: MARS, Nowhere: { name: "Nowhere", size: 10 } });
+    assert.deepEqual(planets.map((planet) => planet.name), ["Mars"]);
+    assert.equal(problems.length, 1);
+    assert.match(problems[0], /^Nowhere\.distance: is required/);
+});
+
+
+
+test("an optional field out of range is removed and reported", () => {
+    const { planets, problems } = validatePlanetsConfig({ Mars: { ...MARS, eccentricity: 1.2, axialTilt: 25.19 } });
+    assert.equal(planets.length, 1);
+    assert.equal("eccentricity" in planets[0], false);
+    assert.equal(planets[0].axialTilt, 25.19);
+    assert.equal(planets[0].orbitalPeriod, 686.98);
+    assert.equal(problems.length, 1);
+    assert.match(problems[0], /^Mars\.eccentricity: must be less than 1, got 1\.2, so it was ignored$/);
+});
+
+
+
+test("rings whose outer radius is not past their inner radius are dropped", () => {
+    const saturn = { ...MARS, name: "Saturn" };
+    const { planets, problems } = validatePlanetsConfig({
+        Saturn: { ...saturn, rings: { innerRadius: 2.3, outerRadius: 1.2 } },
+        Flat: { ...saturn, name: "Flat", rings: { innerRadius: 2, outerRadius: 2 } },
+        Ringed: { ...saturn, name: "Ringed", rings: { innerRadius: 1.2, outerRadius: 2.3 } },
+    });
+    assert.equal(planets.length, 3);
+    assert.equal("rings" in planets[0], false);
+    assert.equal("rings" in planets[1], false);
+    assert.deepEqual(planets[2].rings, { innerRadius: 1.2, outerRadius: 2.3 });
+    assert.equal(problems.length, 2);
+    problems.forEach((problem) => assert.match(problem, /\.rings: outerRadius must be larger than innerRadius/));
+});
+
+
+
+test("invalid moons are filtered out of moonsDetails", () => {
+    const { planets, problems } = validatePlanetsConfig({
+        Mars: {
+            ...MARS,
+            moonsDetails: {
+                Phobos: { name: "Phobos", size: 4, distance: 30 },
+                Deimos: { name: "Deimos", size: -4, distance: 45 },
+                Ghost: "not a moon",
+            },
+        },
+    });
+    assert.equal(planets.length, 1);
+    assert.deepEqual(Object.keys(planets[0].moonsDetails), ["Phobos"]);
+    assert.equal(problems.length, 2);
+    assert.match(problems[0], /^Mars\.moonsDetails\.Deimos\.size: must be more than 0/);
+    assert.match(problems[1], /^Mars\.moonsDetails\.Ghost: must be an object/);
+});
+
+
+
+test("the shipped planets.json has no problems", async () => {
+    const config = JSON.parse(await readFile(new URL("../assets/json/planets.json", import.meta.url), "utf8"));
+    const { planets, problems } = validatePlanetsConfig(config);
+    assert.deepEqual(problems, []);
+    assert.equal(planets.length, Object.keys(config).length);
+});